@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+// Marching Waves CLI - headless batch rendering of PNG/JPEG images to SVG, animated SVG, G-code or HPGL
+// Uses the same pipeline as the browser app via marching-waves-core.js (CPU only).
+// Image decoding relies on the optional `pngjs` and `jpeg-js` packages:
+//   npm install pngjs jpeg-js
+
+const fs = require('fs');
+const path = require('path');
+const { MarchingWavesCore, presets, defaultOptions, defaultPlotterOptions, defaultAnimationOptions, resolveEasing, formatDuration, parsePresetLibrary, seedMaskFromImageData, regionMaskFromImageData } = require('./marching-waves-core');
+
+const FORMATS = { svg: '.svg', 'animated-svg': '.svg', gcode: '.gcode', hpgl: '.hpgl' };
+
+const USAGE = `Usage: node marching-waves-cli.js <image...> [options]
+
+Options:
+  -p, --preset <name>    Start from a built-in preset (${Object.keys(presets).join(', ')})
+                         or one from the --presets library
+      --presets <file>   Preset library JSON saved by the app's preset Export button
+  -c, --config <file>    JSON options file, applied on top of the preset
+                         (plotter settings go in its "plotter" object, animated SVG settings
+                         in "animation"; "regions" entries name their mask image in "mask",
+                         relative to the config or preset library file that lists them)
+      --seed-mask <file> PNG/JPEG whose white pixels are extra wave seeds (same size as
+                         the input; set "seedMaskMode": "replace" in the config to use only these)
+      --print-width <mm> Render at a physical width: the image is resampled to this size at
+                         --dpi and the SVG is sized in millimetres
+      --dpi <n>          Resolution for --print-width (default: 300)
+      --tiled            Solve and contour in tiles, for images too large to process whole
+                         (contours mode only)
+      --tile-size <px>   Tile edge length for --tiled (default: 1024)
+  -f, --format <format>  Output format: svg, animated-svg, gcode or hpgl (default: svg)
+  -o, --output <file>    Output file path (single input only)
+  -d, --out-dir <dir>    Directory for output files (default: next to each input)
+  -v, --verbose          Show pipeline logging and progress
+  -h, --help             Show this help
+`;
+
+function parseNumber(arg, value) {
+    const number = Number(value);
+    if (!(number > 0)) throw new Error(`${arg} needs a positive number, got "${value}"`);
+    return number;
+}
+
+function parseArgs(argv) {
+    const args = { inputs: [], preset: null, presetLibrary: null, config: null, seedMask: null, printWidth: null, printDpi: null, tiled: false, tileSize: null, format: 'svg', output: null, outDir: null, verbose: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '-p':
+            case '--preset':
+                args.preset = next();
+                break;
+            case '--presets':
+                args.presetLibrary = next();
+                break;
+            case '-c':
+            case '--config':
+                args.config = next();
+                break;
+            case '--seed-mask':
+                args.seedMask = next();
+                break;
+            case '--print-width':
+                args.printWidth = parseNumber(arg, next());
+                break;
+            case '--dpi':
+                args.printDpi = parseNumber(arg, next());
+                break;
+            case '--tiled':
+                args.tiled = true;
+                break;
+            case '--tile-size':
+                args.tileSize = parseNumber(arg, next());
+                args.tiled = true;
+                break;
+            case '-f':
+            case '--format':
+                args.format = next().toLowerCase();
+                if (!FORMATS[args.format]) throw new Error(`Unknown format "${args.format}". Available: ${Object.keys(FORMATS).join(', ')}`);
+                break;
+            case '-o':
+            case '--output':
+                args.output = next();
+                break;
+            case '-d':
+            case '--out-dir':
+                args.outDir = next();
+                break;
+            case '-v':
+            case '--verbose':
+                args.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+                args.inputs.push(arg);
+        }
+    }
+
+    return args;
+}
+
+function loadOptionalModule(name) {
+    try {
+        return require(name);
+    } catch (error) {
+        throw new Error(`Decoding this image requires the "${name}" package (npm install ${name})`);
+    }
+}
+
+// Decode a PNG/JPEG file into an ImageData-like { width, height, data } object
+function decodeImage(file) {
+    const buffer = fs.readFileSync(file);
+
+    const isPNG = buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47;
+    const isJPEG = buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+
+    if (isPNG) {
+        const { PNG } = loadOptionalModule('pngjs');
+        const png = PNG.sync.read(buffer);
+        return { width: png.width, height: png.height, data: new Uint8ClampedArray(png.data.buffer, png.data.byteOffset, png.data.length) };
+    }
+
+    if (isJPEG) {
+        const jpeg = loadOptionalModule('jpeg-js');
+        const decoded = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+        return { width: decoded.width, height: decoded.height, data: new Uint8ClampedArray(decoded.data.buffer, decoded.data.byteOffset, decoded.data.length) };
+    }
+
+    throw new Error(`Unsupported image format: ${file} (expected PNG or JPEG)`);
+}
+
+// Region mask paths are relative to the file whose "regions" list names them
+function resolveRegionMasks(regions, file) {
+    if (!Array.isArray(regions)) return regions;
+    const base = file ? path.dirname(file) : process.cwd();
+    return regions.map(region => (typeof region.mask === 'string' ? { ...region, mask: path.resolve(base, region.mask) } : region));
+}
+
+function resolveOptions(args) {
+    let options = { ...defaultOptions };
+
+    const library = args.presetLibrary ? parsePresetLibrary(JSON.parse(fs.readFileSync(args.presetLibrary, 'utf8'))) : {};
+
+    if (args.preset) {
+        const userPreset = library[args.preset];
+        const preset = userPreset ? userPreset.options : presets[args.preset];
+        if (!preset) {
+            const available = [...Object.keys(presets), ...Object.keys(library)];
+            throw new Error(`Unknown preset "${args.preset}". Available: ${available.join(', ')}`);
+        }
+        options = { ...options, ...preset };
+        if (preset.regions) options.regions = resolveRegionMasks(preset.regions, userPreset ? args.presetLibrary : null);
+        if (userPreset && userPreset.plotter) {
+            options.plotter = { ...userPreset.plotter };
+        }
+    }
+
+    if (args.config) {
+        const config = JSON.parse(fs.readFileSync(args.config, 'utf8'));
+        options = { ...options, ...config, plotter: { ...options.plotter, ...config.plotter } };
+        if (config.regions) options.regions = resolveRegionMasks(config.regions, args.config);
+    }
+
+    if (args.printWidth !== null) options.printWidth = args.printWidth;
+    if (args.printDpi !== null) options.printDpi = args.printDpi;
+    if (args.tiled) options.tiled = true;
+    if (args.tileSize !== null) options.tileSize = args.tileSize;
+
+    options.plotter = { ...defaultPlotterOptions, ...options.plotter };
+    options.animation = { ...defaultAnimationOptions, ...options.animation };
+    resolveEasing(options.animation.easing);
+    options.showProgress = args.verbose;
+    return options;
+}
+
+function outputPathFor(input, args) {
+    if (args.output) return args.output;
+    const name = path.basename(input, path.extname(input)) + FORMATS[args.format];
+    return path.join(args.outDir || path.dirname(input), name);
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+
+    if (args.help || args.inputs.length === 0) {
+        process.stdout.write(USAGE);
+        return args.help ? 0 : 1;
+    }
+    if (args.output && args.inputs.length > 1) {
+        throw new Error('--output can only be used with a single input; use --out-dir for batches');
+    }
+
+    // The core logs liberally for the browser console; keep batch output readable
+    if (!args.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    const options = resolveOptions(args);
+    const seedMask = args.seedMask ? decodeImage(args.seedMask) : null;
+    const regionMasks = (options.regions || []).map(region => {
+        if (typeof region.mask !== 'string') throw new Error(`Region "${region.name}" needs a mask image`);
+        if (!fs.existsSync(region.mask)) throw new Error(`Region "${region.name}": mask image ${region.mask} not found`);
+        return decodeImage(region.mask);
+    });
+    if (args.outDir) {
+        fs.mkdirSync(args.outDir, { recursive: true });
+    }
+
+    let failures = 0;
+    for (const input of args.inputs) {
+        const output = outputPathFor(input, args);
+        const core = new MarchingWavesCore();
+        if (args.verbose) {
+            core.setProgressCallback((show, percent, text) => {
+                if (show && percent !== null) {
+                    process.stderr.write(`  [${percent.toFixed(0)}%] ${text}\n`);
+                }
+            });
+        }
+
+        try {
+            const imageData = decodeImage(input);
+            const sizeOf = image => `${image.width}x${image.height}`;
+            if (seedMask && sizeOf(seedMask) !== sizeOf(imageData)) {
+                throw new Error(`Seed mask is ${sizeOf(seedMask)}, the image is ${sizeOf(imageData)}`);
+            }
+            const inputOptions = { ...options };
+            if (seedMask) {
+                inputOptions.seedMask = seedMaskFromImageData(seedMask);
+            }
+            if (regionMasks.length > 0) {
+                inputOptions.regions = options.regions.map((region, i) => {
+                    if (sizeOf(regionMasks[i]) !== sizeOf(imageData)) {
+                        throw new Error(`Mask of region "${region.name}" is ${sizeOf(regionMasks[i])}, the image is ${sizeOf(imageData)}`);
+                    }
+                    return { ...region, mask: regionMaskFromImageData(regionMasks[i]) };
+                });
+            }
+            const svg = await core.processImage(imageData, inputOptions);
+            if (args.format === 'svg' || args.format === 'animated-svg') {
+                fs.writeFileSync(output, args.format === 'svg' ? svg : core.getAnimatedSVG(inputOptions, options.animation));
+                process.stderr.write(`${input} -> ${output} (${core.contours.length} paths, ${core.perf['Total']}ms)\n`);
+            } else {
+                // A print size fixes the scale: one pixel is 25.4 / dpi millimetres
+                const plotter = core.print ? { ...options.plotter, mmPerPixel: core.print.mmPerPixel } : options.plotter;
+                const content = args.format === 'gcode' ? core.getGCode(plotter) : core.getHPGL(plotter);
+                fs.writeFileSync(output, content);
+                const stats = core.plotStats;
+                process.stderr.write(`${input} -> ${output} (${stats.penLifts} pen lifts, est. ${formatDuration(stats.estimatedSeconds)}, ${core.perf['Total']}ms)\n`);
+            }
+        } catch (error) {
+            failures++;
+            process.stderr.write(`${input}: ${error.message}\n`);
+        }
+    }
+
+    return failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        process.stderr.write(`Error: ${error.message}\n`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { main, parseArgs, decodeImage, resolveOptions };
@@ -0,0 +1,5778 @@
+// Marching Waves Core - DOM-free generation pipeline
+// Shared by the browser app (index.html), the Node CLI (marching-waves-cli.js) and anything
+// else that needs to turn pixels into paths without a canvas. Image input is any object
+// shaped like ImageData: { width, height, data } with RGBA bytes.
+
+// Option values used when a caller leaves a field out (mirrors the UI defaults)
+const defaultOptions = {
+    mode: 'contours',
+    interval: 8,
+    lineWidth: 1,
+    threshold: 50,
+    invert: true,
+    lineColor: '#000000',
+    antiAlias: true,
+    maxSegments: 50000,
+    skipJoining: false,
+    showProgress: false,
+    edgeGuidance: true,
+    edgeSensitivity: 0.6,
+    detailLevel: 0.7,
+    contourSmoothness: 0.65,
+    featureImportance: 0.6,
+    seed: null,
+    layerCount: 1,
+    layerPalette: null,
+    tspMoveLimit: 5, // Tour improvement moves per point (see optimizeTour)
+    stippleAlgorithm: 'poisson',
+    stippleIterations: 20,
+    streamlineAlgorithm: 'grid', // 'grid' or 'even' (see EVENLY-SPACED STREAMLINES)
+    streamlineToneSpacing: 0.5, // Even streamlines: how much wider lines are spaced in light tones, 0..1
+    streamlineTestRatio: 0.5, // Even streamlines: lines end this fraction of the spacing from others
+    streamlineTaper: false, // Streamline ends thin out over STREAMLINE_TAPER intervals
+    hatchLayers: null, // See HATCHING: [{ angle, spacing, offset, softness }, ...]; null for HATCH_LAYERS
+    hatchStyle: 'straight', // 'straight', 'contour' or 'gradient'
+    hatchEngraving: 'none', // 'none', 'width' or 'spacing'
+    variableWidth: false,
+    minLineWidth: 0.3,
+    seedMask: null,
+    seedMaskMode: 'add',
+    speedMode: 'none',
+    speedContrast: 4,
+    speedCurve: '0:0, 0.5:0.25, 1:1',
+    solver: 'fmm',
+    // Preprocessing (see IMAGE PREPROCESSING); the defaults leave the image as it is
+    cropLeft: 0, // Percent of the image width or height trimmed from each edge
+    cropTop: 0,
+    cropRight: 0,
+    cropBottom: 0,
+    rotate: 0, // Clockwise quarter turns in degrees: 0, 90, 180 or 270
+    straighten: 0, // Clockwise degrees, -45..45, zoomed in to keep the corners filled
+    resizeWidth: 0, // Working width in pixels; 0 keeps the cropped size
+    denoise: 'none',
+    denoiseRadius: 1.5, // Gaussian sigma in working image pixels
+    denoiseRange: 0.1, // Bilateral only: tone difference (0..1) still smoothed across
+    blackPoint: 0, // Levels, percent
+    whitePoint: 100,
+    gamma: 1,
+    toneCurve: '', // "input:output, ..." points; empty for none
+    clahe: false,
+    claheClip: 2.5,
+    claheTiles: 8,
+    colorMode: 'none', // See COLOR SEPARATION: 'none', 'cmyk', 'cmy' or 'palette'
+    paletteSize: 4, // Palette mode: inks found besides the paper
+    pathColoring: 'none', // See PATH COLORING: 'none', 'average', 'gradient' or 'colormap'
+    colormap: 'viridis', // A COLORMAPS name or 'custom'
+    colormapStops: '0:#0d0887, 0.5:#cc4778, 1:#f0f921', // Custom colormap, "position:#rrggbb, ..."
+    regions: null,
+    printWidth: 0, // Millimetres; 0 keeps the image's own pixel size
+    printDpi: 300,
+    tiled: false,
+    tileSize: 1024
+};
+
+// Pen plotter export settings (millimetres, mm/min and seconds)
+const defaultPlotterOptions = {
+    mmPerPixel: 0.25,
+    drawFeedRate: 1500,
+    travelFeedRate: 3000,
+    penUp: 'G0 Z5',
+    penDown: 'G0 Z0',
+    penDelay: 0, // Dwell after each pen move in seconds, written as G4 P in milliseconds
+    penMoveTime: 0.15,
+    mergeDistance: 0,
+    flipY: true,
+    decimals: 3,
+    pen: 1,
+    penCount: 8, // HPGL pen slots; layers past the last slot wrap around to pen 1
+    layerChange: 'M0'
+};
+
+// Band a normalised 0..1 value (tone, distance) into one of layerCount layers.
+// Paths carry the result as a `layer` property on the point array.
+function layerForValue(t, layerCount = 1) {
+    if (!(layerCount > 1)) return 0;
+    return Math.max(0, Math.min(layerCount - 1, Math.floor(t * layerCount)));
+}
+
+// "1h 02m 05s" style duration for plot time estimates
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m ${String(s).padStart(2, '0')}s`;
+    if (m > 0) return `${m}m ${String(s).padStart(2, '0')}s`;
+    return `${s}s`;
+}
+
+// Text made safe for an XML attribute value, such as user-named layers in the SVG
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Turn a user-supplied seed (number or string) into a 32-bit integer; empty means pick one at random
+function resolveSeed(seed) {
+    if (seed === null || seed === undefined || seed === '') {
+        return Math.floor(Math.random() * 4294967296);
+    }
+    const numeric = Number(seed);
+    if (Number.isInteger(numeric) && numeric >= 0 && numeric < 4294967296) {
+        return numeric >>> 0;
+    }
+    // FNV-1a hash for word seeds like "client-rev-2", and for negative, fractional or larger
+    // numbers, so that -5 and 5 or 1.5 and 1 stay different seeds
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < String(seed).length; i++) {
+        hash ^= String(seed).charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Gray level (0-1) for options.threshold, which is on the UI's 0-100 scale. Seeds, hatch passes
+// and stipple dots all compare the grayscale against it.
+function grayThreshold(options) {
+    return (options.threshold ?? defaultOptions.threshold) / 100;
+}
+
+// Eikonal seed pixels: darker than threshold, plus (seedMaskMode 'add') or instead of them
+// ('replace') the pixels set in seedMask, a painted Uint8Array with 1 = seed. Shared by the
+// main-thread and worker FMM solvers; the JFA init shader applies the same rule on the GPU.
+function buildSeedFlags(grayData, threshold, seedMask = null, seedMaskMode = 'add') {
+    if (seedMask && seedMask.length !== grayData.length) {
+        throw new Error(`Seed mask has ${seedMask.length} pixels, the image has ${grayData.length}`);
+    }
+
+    const seeds = new Uint8Array(grayData.length);
+    const useThreshold = !seedMask || seedMaskMode !== 'replace';
+    for (let i = 0; i < seeds.length; i++) {
+        seeds[i] = (useThreshold && grayData[i] < threshold) || (seedMask && seedMask[i]) ? 1 : 0;
+    }
+    return seeds;
+}
+
+// Seed mask from mask artwork (ImageData-like): bright, opaque pixels become seeds
+function seedMaskFromImageData(imageData) {
+    const { data } = imageData;
+    const mask = new Uint8Array(imageData.width * imageData.height);
+    for (let i = 0; i < mask.length; i++) {
+        const luma = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        mask[i] = luma >= 128 && data[i * 4 + 3] >= 128 ? 1 : 0;
+    }
+    return mask;
+}
+
+// Eikonal solver backends for the `solver` option: 'fmm' is the classic first-order solve (JFA on
+// the GPU), 'fmm2' second-order Fast Marching and 'edt' the exact Euclidean distance transform
+const SOLVERS = ['fmm', 'fmm2', 'edt'];
+
+// The backend that actually runs. EDT only covers uniform speed, so weighted solves use
+// second-order FMM instead.
+function resolveSolver(solver = 'fmm', weighted = false) {
+    if (!SOLVERS.includes(solver)) {
+        throw new Error(`Unknown solver "${solver}". Available: ${SOLVERS.join(', ')}`);
+    }
+    return solver === 'edt' && weighted ? 'fmm2' : solver;
+}
+
+// Perf label for a resolved backend, e.g. "FMM, 2nd order, weighted"
+function describeSolver(solver, weighted = false) {
+    const name = { fmm: 'FMM', fmm2: 'FMM, 2nd order', edt: 'EDT' }[solver];
+    return weighted ? `${name}, weighted` : name;
+}
+
+// Lower envelope of parabolas for one row or column of squared distances (Felzenszwalb &
+// Huttenlocher); v, z are scratch arrays sized n and n + 1
+function distanceTransform1D(f, d, v, z, n) {
+    let k = 0;
+    v[0] = 0;
+    z[0] = -Infinity;
+    z[1] = Infinity;
+    for (let q = 1; q < n; q++) {
+        let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        while (s <= z[k]) {
+            k--;
+            s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = Infinity;
+    }
+    k = 0;
+    for (let q = 0; q < n; q++) {
+        while (z[k + 1] < q) k++;
+        d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+    }
+}
+
+// Exact Euclidean distance from every pixel to the nearest seed, in two separable passes.
+// Pixels are Infinity when there are no seeds at all.
+function euclideanDistanceTransform(seeds, width, height) {
+    const FAR = 1e20;
+    const grid = new Float64Array(width * height);
+    for (let i = 0; i < grid.length; i++) {
+        grid[i] = seeds[i] ? 0 : FAR;
+    }
+
+    const n = Math.max(width, height);
+    const f = new Float64Array(n);
+    const d = new Float64Array(n);
+    const v = new Int32Array(n);
+    const z = new Float64Array(n + 1);
+
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) f[y] = grid[y * width + x];
+        distanceTransform1D(f, d, v, z, height);
+        for (let y = 0; y < height; y++) grid[y * width + x] = d[y];
+    }
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        for (let x = 0; x < width; x++) f[x] = grid[row + x];
+        distanceTransform1D(f, d, v, z, width);
+        for (let x = 0; x < width; x++) grid[row + x] = d[x];
+    }
+
+    const solution = new Float32Array(width * height);
+    for (let i = 0; i < solution.length; i++) {
+        solution[i] = grid[i] >= FAR ? Infinity : Math.sqrt(grid[i]);
+    }
+    return solution;
+}
+
+// Image-weighted Eikonal: the front moves at a per-pixel speed in [1 / speedContrast, 1] taken
+// from the image, so T is a weighted geodesic distance and contours bunch up where the front is
+// slow. 'none' keeps the classic solvers (grayscale-cost FMM on the CPU, JFA on the GPU).
+const SPEED_MODES = ['none', 'brightness', 'gradient', 'curve'];
+
+// Curve text "x:y, ..." (all 0..1) into points sorted by x. name and axes ("Speed curve",
+// "brightness:speed") describe it in error messages.
+function parseCurvePoints(text, name, axes) {
+    const points = String(text || '').split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+        const [x, y] = pair.split(':').map(Number);
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            throw new Error(`Invalid ${name.toLowerCase()} point "${pair}" (expected ${axes})`);
+        }
+        return { x: Math.max(0, Math.min(1, x)), y: Math.max(0, Math.min(1, y)) };
+    });
+    if (points.length < 2) throw new Error(`${name} needs at least two ${axes} points`);
+    return points.sort((a, b) => a.x - b.x);
+}
+
+// Speed curve text "brightness:speed, ..." into points sorted by brightness
+function parseSpeedCurve(text) {
+    return parseCurvePoints(text, 'Speed curve', 'brightness:speed');
+}
+
+// Piecewise-linear lookup, flat beyond the end points
+function evaluateCurve(points, x) {
+    if (x <= points[0].x) return points[0].y;
+    for (let i = 1; i < points.length; i++) {
+        const b = points[i];
+        if (x <= b.x) {
+            const a = points[i - 1];
+            return b.x > a.x ? a.y + (b.y - a.y) * (x - a.x) / (b.x - a.x) : b.y;
+        }
+    }
+    return points[points.length - 1].y;
+}
+
+// Per-pixel cost (slowness, scaled so the slowest pixels cost 1 like the darkest pixels of the
+// classic solve) for options.speedMode, or null for 'none'.
+// Brightness is the source luminance whatever `invert` says; 'gradient' needs the normalised
+// edgeMap from computeEdgeMap and slows the front on edges.
+function buildSpeedCost(grayData, options, edgeMap = null) {
+    const { speedMode = 'none', speedContrast = 4, speedCurve = '', invert = false } = options;
+    if (speedMode === 'none') return null;
+    if (!SPEED_MODES.includes(speedMode)) {
+        throw new Error(`Unknown speed mode "${speedMode}". Available: ${SPEED_MODES.join(', ')}`);
+    }
+    if (speedMode === 'gradient' && !edgeMap) throw new Error('Gradient speed needs an edge map');
+
+    const minSpeed = 1 / Math.max(1, speedContrast);
+    const curve = speedMode === 'curve' ? parseSpeedCurve(speedCurve) : null;
+    const cost = new Float32Array(grayData.length);
+    for (let i = 0; i < cost.length; i++) {
+        const brightness = invert ? 1 - grayData[i] : grayData[i];
+        let speed;
+        if (speedMode === 'brightness') {
+            speed = brightness;
+        } else if (speedMode === 'gradient') {
+            speed = 1 - edgeMap[i];
+        } else {
+            speed = evaluateCurve(curve, brightness);
+        }
+        cost[i] = minSpeed / (minSpeed + (1 - minSpeed) * speed);
+    }
+    return cost;
+}
+
+// Fast Marching for |grad T| = cost from the buildSeedFlags seeds. Each update reads the accepted
+// neighbours of the pixel being updated; order 2 uses second-order one-sided differences where
+// two accepted pixels line up. step(limit) accepts up to `limit` pixels and returns true once the
+// front has swept the whole image, so callers can yield in between. `initial` (optional) gives
+// pixels a starting time other than 0, as upper bounds the march may still lower; tiled solves
+// pass in the values known around a tile this way.
+function createWeightedEikonalSolver(cost, seeds, width, height, order = 1, initial = null) {
+    const size = width * height;
+    const solution = new Float32Array(size).fill(Infinity);
+    const accepted = new Uint8Array(size);
+    // Binary heap of pixel indices keyed by tentative T; superseded entries are skipped on pop
+    let heapIndex = new Int32Array(1024);
+    let heapValue = new Float64Array(1024);
+    let heapSize = 0;
+
+    const push = (index, value) => {
+        if (heapSize === heapIndex.length) {
+            const grownIndex = new Int32Array(heapSize * 2);
+            const grownValue = new Float64Array(heapSize * 2);
+            grownIndex.set(heapIndex);
+            grownValue.set(heapValue);
+            heapIndex = grownIndex;
+            heapValue = grownValue;
+        }
+        let i = heapSize++;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heapValue[parent] <= value) break;
+            heapIndex[i] = heapIndex[parent];
+            heapValue[i] = heapValue[parent];
+            i = parent;
+        }
+        heapIndex[i] = index;
+        heapValue[i] = value;
+    };
+
+    const pop = () => {
+        const top = heapIndex[0];
+        const lastIndex = heapIndex[--heapSize];
+        const lastValue = heapValue[heapSize];
+        let i = 0;
+        while (true) {
+            let child = 2 * i + 1;
+            if (child >= heapSize) break;
+            if (child + 1 < heapSize && heapValue[child + 1] < heapValue[child]) child++;
+            if (heapValue[child] >= lastValue) break;
+            heapIndex[i] = heapIndex[child];
+            heapValue[i] = heapValue[child];
+            i = child;
+        }
+        heapIndex[i] = lastIndex;
+        heapValue[i] = lastValue;
+        return top;
+    };
+
+    const known = (i) => (accepted[i] ? solution[i] : Infinity);
+
+    // Upwind term along one axis as (T - m)^2 * c: first order c = 1, m = T1; second order
+    // c = 9/4, m = (4 T1 - T2) / 3 when the pixel beyond T1 is accepted and not larger
+    const terms = [{ c: 0, m: 0 }, { c: 0, m: 0 }];
+    const axisTerm = (term, i, step, hasOne, hasTwo) => {
+        const back = hasOne(-1) ? known(i - step) : Infinity;
+        const forward = hasOne(1) ? known(i + step) : Infinity;
+        const dir = back <= forward ? -1 : 1;
+        const t1 = Math.min(back, forward);
+        if (t1 === Infinity) return false;
+        const t2 = order === 2 && hasTwo(dir) ? known(i + 2 * dir * step) : Infinity;
+        if (t2 <= t1) {
+            term.c = 9 / 4;
+            term.m = (4 * t1 - t2) / 3;
+        } else {
+            term.c = 1;
+            term.m = t1;
+        }
+        return true;
+    };
+
+    const update = (i) => {
+        const x = i % width;
+        const y = (i - x) / width;
+        let count = 0;
+        if (axisTerm(terms[count], i, 1, d => x + d >= 0 && x + d < width, d => x + 2 * d >= 0 && x + 2 * d < width)) count++;
+        if (axisTerm(terms[count], i, width, d => y + d >= 0 && y + d < height, d => y + 2 * d >= 0 && y + 2 * d < height)) count++;
+        const f = cost[i];
+        if (count === 0) return Infinity;
+
+        const [p, q] = terms;
+        const single = (term) => term.m + f / Math.sqrt(term.c);
+        if (count === 1) return single(p);
+
+        // Both axes upwind: solve p.c (T - p.m)^2 + q.c (T - q.m)^2 = f^2 for the larger root
+        const a = p.c + q.c;
+        const b = p.c * p.m + q.c * q.m;
+        const disc = b * b - a * (p.c * p.m * p.m + q.c * q.m * q.m - f * f);
+        if (disc >= 0) {
+            const t = (b + Math.sqrt(disc)) / a;
+            if (t >= Math.max(p.m, q.m)) return t;
+        }
+        return Math.min(single(p), single(q));
+    };
+
+    for (let i = 0; i < size; i++) {
+        const start = seeds[i] ? 0 : (initial ? initial[i] : Infinity);
+        if (start < Infinity) {
+            solution[i] = start;
+            push(i, start);
+        }
+    }
+
+    let processed = 0;
+    return {
+        solution,
+        get processed() { return processed; },
+        step(limit = Infinity) {
+            let count = 0;
+            while (heapSize > 0 && count < limit) {
+                const i = pop();
+                if (accepted[i]) continue;
+                accepted[i] = 1;
+                processed++;
+                count++;
+
+                const x = i % width;
+                const neighbors = [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width];
+                for (const n of neighbors) {
+                    if (n < 0 || n >= size || accepted[n]) continue;
+                    const value = update(n);
+                    if (value < solution[n]) {
+                        solution[n] = value;
+                        push(n, value);
+                    }
+                }
+            }
+            return heapSize === 0;
+        }
+    };
+}
+
+// Seedable PRNG (mulberry32) with the same contract as Math.random
+function createRandom(seed) {
+    let state = resolveSeed(seed);
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ============================================
+// TSP TOUR IMPROVEMENT (2-OPT / OR-OPT)
+// ============================================
+// Shared by MarchingWavesCore.extractTSP and the worker's extractTSP task. The tour is an
+// open path (no closing edge), so moves at either end only ever remove one edge.
+
+function tourLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    return length;
+}
+
+// k nearest neighbours per point (closest first) via a uniform grid; -1 pads short lists
+function buildNeighborLists(points, k) {
+    const n = points.length;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of points) {
+        if (p.x < minX) minX = p.x;
+        if (p.y < minY) minY = p.y;
+        if (p.x > maxX) maxX = p.x;
+        if (p.y > maxY) maxY = p.y;
+    }
+
+    // Aim for ~2 points per cell
+    const cellSize = Math.max(1e-6, Math.sqrt(((maxX - minX + 1) * (maxY - minY + 1) * 2) / n));
+    const gridWidth = Math.ceil((maxX - minX + 1) / cellSize);
+    const gridHeight = Math.ceil((maxY - minY + 1) / cellSize);
+    const cellOf = (p) => Math.floor((p.y - minY) / cellSize) * gridWidth + Math.floor((p.x - minX) / cellSize);
+
+    // Counting sort of point indices by cell
+    const cellStart = new Int32Array(gridWidth * gridHeight + 1);
+    for (const p of points) cellStart[cellOf(p) + 1]++;
+    for (let c = 0; c < gridWidth * gridHeight; c++) cellStart[c + 1] += cellStart[c];
+    const cellItems = new Int32Array(n);
+    const fill = cellStart.slice(0, -1);
+    for (let i = 0; i < n; i++) cellItems[fill[cellOf(points[i])]++] = i;
+
+    const neighbors = new Int32Array(n * k).fill(-1);
+    const bestDist = new Float64Array(k);
+    const bestIdx = new Int32Array(k);
+
+    for (let i = 0; i < n; i++) {
+        const p = points[i];
+        const gx = Math.floor((p.x - minX) / cellSize);
+        const gy = Math.floor((p.y - minY) / cellSize);
+        let count = 0;
+
+        for (let r = 0; r < Math.max(gridWidth, gridHeight); r++) {
+            // Stop once the ring is farther away than the current k-th neighbour
+            if (count === k && (r - 1) * cellSize > bestDist[k - 1]) break;
+
+            for (let dy = -r; dy <= r; dy++) {
+                for (let dx = -r; dx <= r; dx++) {
+                    if (Math.abs(dx) !== r && Math.abs(dy) !== r) continue;
+                    const cx = gx + dx;
+                    const cy = gy + dy;
+                    if (cx < 0 || cy < 0 || cx >= gridWidth || cy >= gridHeight) continue;
+
+                    const cell = cy * gridWidth + cx;
+                    for (let c = cellStart[cell]; c < cellStart[cell + 1]; c++) {
+                        const j = cellItems[c];
+                        if (j === i) continue;
+                        const d = Math.hypot(points[j].x - p.x, points[j].y - p.y);
+                        if (count === k && d >= bestDist[k - 1]) continue;
+
+                        // Insertion into the sorted best list
+                        let slot = count < k ? count++ : k - 1;
+                        while (slot > 0 && bestDist[slot - 1] > d) {
+                            bestDist[slot] = bestDist[slot - 1];
+                            bestIdx[slot] = bestIdx[slot - 1];
+                            slot--;
+                        }
+                        bestDist[slot] = d;
+                        bestIdx[slot] = j;
+                    }
+                }
+            }
+        }
+
+        for (let m = 0; m < count; m++) neighbors[i * k + m] = bestIdx[m];
+    }
+
+    return neighbors;
+}
+
+// Improve a point tour in place with 2-opt and Or-opt moves restricted to nearest neighbours.
+// Stops at a local optimum or after moveLimit moves per point. The limit counts moves rather than
+// time, so the same points always give the same tour however fast the machine is.
+// `checkpoint` is awaited periodically and should throw to cancel; `onProgress(fraction, message)` is optional.
+async function optimizeTour(points, { moveLimit = 5, neighborCount = 8, checkpoint = null, onProgress = null } = {}) {
+    const n = points.length;
+    const initialLength = tourLength(points);
+    const stats = { initialLength, finalLength: initialLength, twoOptMoves: 0, orOptMoves: 0, elapsed: 0, converged: n < 4 };
+    if (n < 4 || !(moveLimit > 0)) return { points, stats };
+
+    const start = Date.now();
+    const maxMoves = Math.max(1, Math.round(moveLimit * n));
+    const neighbors = buildNeighborLists(points, neighborCount);
+
+    const tour = new Int32Array(n);
+    const pos = new Int32Array(n);
+    for (let i = 0; i < n; i++) {
+        tour[i] = i;
+        pos[i] = i;
+    }
+
+    const dist = (a, b) => Math.hypot(points[a].x - points[b].x, points[a].y - points[b].y);
+    const EPS = 1e-7;
+    let length = initialLength;
+    let touched = []; // Endpoints of the edges changed by the last move
+
+    // Reverse tour[l..r] inclusive
+    const reverse = (l, r) => {
+        while (l < r) {
+            const t = tour[l];
+            tour[l] = tour[r];
+            tour[r] = t;
+            pos[tour[l]] = l;
+            pos[tour[r]] = r;
+            l++;
+            r--;
+        }
+    };
+
+    // Move tour[i..i+len-1] to sit right after position `after` (outside the segment)
+    const moveSegment = (i, len, after, reversed) => {
+        const segment = tour.slice(i, i + len);
+        if (reversed) segment.reverse();
+        let from, to;
+        if (after > i) {
+            tour.copyWithin(i, i + len, after + 1);
+            tour.set(segment, after - len + 1);
+            from = i;
+            to = after;
+        } else {
+            tour.copyWithin(after + 1 + len, after + 1, i);
+            tour.set(segment, after + 1);
+            from = after + 1;
+            to = i + len - 1;
+        }
+        for (let m = from; m <= to; m++) pos[tour[m]] = m;
+    };
+
+    // 2-opt: replace the edge from `a` to its successor (dir 1) or predecessor (dir -1)
+    // with an edge to a nearer neighbour, reversing the section in between
+    const tryTwoOpt = (a) => {
+        const i = pos[a];
+        for (const dir of [1, -1]) {
+            const bi = i + dir;
+            if (bi < 0 || bi >= n) continue;
+            const b = tour[bi];
+            const dab = dist(a, b);
+
+            for (let m = 0; m < neighborCount; m++) {
+                const c = neighbors[a * neighborCount + m];
+                if (c < 0) break;
+                const dac = dist(a, c);
+                if (dac >= dab) break;
+
+                const j = pos[c];
+                const dj = j + dir; // c's neighbour on the same side
+                if (dir === 1 ? j > bi : j < bi) {
+                    // c beyond b: reverse b..c
+                    const gain = dab + (dj >= 0 && dj < n ? dist(c, tour[dj]) - dist(b, tour[dj]) : 0) - dac;
+                    if (gain > EPS) {
+                        touched = dj >= 0 && dj < n ? [a, b, c, tour[dj]] : [a, b, c];
+                        dir === 1 ? reverse(bi, j) : reverse(j, bi);
+                        length -= gain;
+                        return true;
+                    }
+                } else if (dir === 1 ? j < i - 1 : j > i + 1) {
+                    // c on the other side of a: reverse c's neighbour..a
+                    const d = tour[dj];
+                    const gain = dab + dist(c, d) - dac - dist(d, b);
+                    if (gain > EPS) {
+                        touched = [a, b, c, d];
+                        dir === 1 ? reverse(dj, i) : reverse(i, dj);
+                        length -= gain;
+                        return true;
+                    }
+                }
+            }
+        }
+        return false;
+    };
+
+    // Or-opt: move a run of 1-3 points starting at `a` between a neighbour and its adjacent point
+    const tryOrOpt = (a) => {
+        for (let len = 1; len <= 3; len++) {
+            const i = pos[a];
+            const last = i + len - 1;
+            if (last >= n) break;
+
+            const s0 = tour[i];
+            const s1 = tour[last];
+            const prev = i > 0 ? tour[i - 1] : -1;
+            const next = last < n - 1 ? tour[last + 1] : -1;
+            let removeGain = (prev >= 0 ? dist(prev, s0) : 0) + (next >= 0 ? dist(s1, next) : 0);
+            if (prev >= 0 && next >= 0) removeGain -= dist(prev, next);
+            if (removeGain <= EPS) continue;
+
+            for (const end of [s0, s1]) {
+                for (let m = 0; m < neighborCount; m++) {
+                    const c = neighbors[end * neighborCount + m];
+                    if (c < 0) break;
+                    if (dist(end, c) >= removeGain) break;
+
+                    const j = pos[c];
+                    if (j >= i - 1 && j <= last + 1) continue;
+
+                    // Try the edge on either side of c
+                    for (const e of [j - 1, j]) {
+                        if (e < 0 || e + 1 >= n || (e >= i - 1 && e <= last)) continue;
+                        const x = tour[e];
+                        const y = tour[e + 1];
+                        const base = dist(x, y);
+                        const forward = dist(x, s0) + dist(s1, y) - base;
+                        const backward = dist(x, s1) + dist(s0, y) - base;
+                        const reversed = backward < forward;
+                        const gain = removeGain - Math.min(forward, backward);
+                        if (gain > EPS) {
+                            touched = [s0, s1, x, y, prev, next];
+                            moveSegment(i, len, e, reversed);
+                            length -= gain;
+                            return true;
+                        }
+                    }
+                }
+            }
+        }
+        return false;
+    };
+
+    // Work queue of points whose surroundings changed ("don't look bits")
+    const queue = new Int32Array(n);
+    const queued = new Uint8Array(n).fill(1);
+    for (let i = 0; i < n; i++) queue[i] = tour[i];
+    let head = 0;
+    let size = n;
+    const push = (p) => {
+        if (p < 0 || queued[p]) return;
+        queued[p] = 1;
+        queue[(head + size) % n] = p;
+        size++;
+    };
+
+    let steps = 0;
+    while (size > 0) {
+        const a = queue[head];
+        head = (head + 1) % n;
+        size--;
+        queued[a] = 0;
+
+        if (tryTwoOpt(a)) {
+            stats.twoOptMoves++;
+        } else if (tryOrOpt(a)) {
+            stats.orOptMoves++;
+        } else {
+            continue;
+        }
+
+        // Revisit the endpoints of the changed edges and their tour neighbours
+        for (const p of touched) {
+            if (p < 0) continue;
+            const i = pos[p];
+            for (let m = Math.max(0, i - 1); m <= Math.min(n - 1, i + 1); m++) push(tour[m]);
+        }
+
+        if (++steps >= maxMoves) break;
+        if (steps % 500 === 0) {
+            if (checkpoint) await checkpoint();
+            if (onProgress) {
+                const saved = ((initialLength - length) / initialLength) * 100;
+                onProgress(steps / maxMoves, `Optimizing tour (-${saved.toFixed(1)}%)...`);
+            }
+        }
+    }
+
+    stats.converged = size === 0;
+    stats.elapsed = (Date.now() - start) / 1000;
+    const improved = Array.from(tour, idx => points[idx]);
+    stats.finalLength = tourLength(improved);
+    return { points: improved, stats };
+}
+
+// "48213px -> 41007px (-14.9%)" summary for the perf panel
+function describeTourStats(stats) {
+    const saved = stats.initialLength > 0 ? ((stats.initialLength - stats.finalLength) / stats.initialLength) * 100 : 0;
+    return `${stats.initialLength.toFixed(0)}px -> ${stats.finalLength.toFixed(0)}px (-${saved.toFixed(1)}%)`;
+}
+
+// ============================================
+// WEIGHTED VORONOI STIPPLING (SECORD)
+// ============================================
+// Shared by MarchingWavesCore.extractStippleVoronoi and the worker's extractStippleVoronoi task.
+
+// Dot density per pixel: darker (lower) tone attracts more dots; pixels at or above threshold get none
+function stippleDensity(grayData, threshold) {
+    const density = new Float32Array(grayData.length);
+    for (let i = 0; i < grayData.length; i++) {
+        if (grayData[i] < threshold) density[i] = 1 - grayData[i];
+    }
+    return density;
+}
+
+// Dot budget: solid black gets one dot per (interval / 2)^2 pixels
+function stippleCount(density, interval, maxPoints = 50000) {
+    let total = 0;
+    for (let i = 0; i < density.length; i++) total += density[i];
+    return Math.min(maxPoints, Math.round((total * 4) / (interval * interval)));
+}
+
+// Initial points drawn with probability proportional to density (inverse CDF sampling)
+function sampleByDensity(density, width, count, random) {
+    const cdf = new Float64Array(density.length);
+    let total = 0;
+    for (let i = 0; i < density.length; i++) {
+        total += density[i];
+        cdf[i] = total;
+    }
+
+    const points = [];
+    if (total <= 0) return points;
+
+    for (let k = 0; k < count; k++) {
+        const target = random() * total;
+        let lo = 0, hi = cdf.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (cdf[mid] < target) lo = mid + 1;
+            else hi = mid;
+        }
+        points.push({ x: (lo % width) + random(), y: Math.floor(lo / width) + random() });
+    }
+    return points;
+}
+
+// Weighted Lloyd relaxation: every iteration moves each point to the density-weighted centroid
+// of its (discrete, per-pixel) Voronoi cell. `checkpoint` is awaited between row bands and should
+// throw to cancel; `onIteration(iteration, points, meanShift)` is called after each pass.
+async function relaxStipplePoints(points, density, width, height, { iterations = 20, checkpoint = null, onIteration = null } = {}) {
+    const n = points.length;
+    if (n === 0) return points;
+
+    const cellSize = Math.max(1, Math.sqrt((width * height) / n));
+    const gridWidth = Math.ceil(width / cellSize);
+    const gridHeight = Math.ceil(height / cellSize);
+    const cellStart = new Int32Array(gridWidth * gridHeight + 1);
+    const cellItems = new Int32Array(n);
+    const sumW = new Float64Array(n);
+    const sumX = new Float64Array(n);
+    const sumY = new Float64Array(n);
+    const cellOf = (p) => Math.min(gridHeight - 1, Math.floor(p.y / cellSize)) * gridWidth + Math.min(gridWidth - 1, Math.floor(p.x / cellSize));
+
+    for (let iter = 0; iter < iterations; iter++) {
+        // Bucket sites by grid cell
+        cellStart.fill(0);
+        for (const p of points) cellStart[cellOf(p) + 1]++;
+        for (let c = 0; c < gridWidth * gridHeight; c++) cellStart[c + 1] += cellStart[c];
+        const fill = cellStart.slice(0, -1);
+        for (let i = 0; i < n; i++) cellItems[fill[cellOf(points[i])]++] = i;
+
+        sumW.fill(0);
+        sumX.fill(0);
+        sumY.fill(0);
+
+        let best = 0; // Nearest site of the previous pixel seeds the search bound
+        for (let y = 0; y < height; y++) {
+            const py = y + 0.5;
+            const gy = Math.min(gridHeight - 1, Math.floor(py / cellSize));
+
+            for (let x = 0; x < width; x++) {
+                const w = density[y * width + x];
+                if (w <= 0) continue;
+
+                const px = x + 0.5;
+                const gx = Math.min(gridWidth - 1, Math.floor(px / cellSize));
+                let bestD = (points[best].x - px) ** 2 + (points[best].y - py) ** 2;
+
+                for (let r = 0; r < Math.max(gridWidth, gridHeight); r++) {
+                    if (r > 0 && ((r - 1) * cellSize) ** 2 > bestD) break;
+                    for (let dy = -r; dy <= r; dy++) {
+                        const cy = gy + dy;
+                        if (cy < 0 || cy >= gridHeight) continue;
+                        for (let dx = -r; dx <= r; dx++) {
+                            if (Math.abs(dx) !== r && Math.abs(dy) !== r) continue;
+                            const cx = gx + dx;
+                            if (cx < 0 || cx >= gridWidth) continue;
+
+                            const cell = cy * gridWidth + cx;
+                            for (let c = cellStart[cell]; c < cellStart[cell + 1]; c++) {
+                                const s = cellItems[c];
+                                const d = (points[s].x - px) ** 2 + (points[s].y - py) ** 2;
+                                if (d < bestD) {
+                                    bestD = d;
+                                    best = s;
+                                }
+                            }
+                        }
+                    }
+                }
+
+                sumW[best] += w;
+                sumX[best] += w * px;
+                sumY[best] += w * py;
+            }
+
+            if (checkpoint && y % 64 === 63) await checkpoint();
+        }
+
+        let shift = 0;
+        for (let i = 0; i < n; i++) {
+            if (sumW[i] <= 0) continue;
+            const nx = sumX[i] / sumW[i];
+            const ny = sumY[i] / sumW[i];
+            shift += Math.hypot(nx - points[i].x, ny - points[i].y);
+            points[i] = { x: nx, y: ny };
+        }
+
+        if (onIteration) onIteration(iter + 1, points, shift / n);
+        if (checkpoint) await checkpoint();
+    }
+
+    return points;
+}
+
+// ============================================
+// REGION SELECTIONS
+// ============================================
+// A selection is an { x, y, w, h } box in image pixels. Lasso and brush selections add `mask`,
+// an image-sized Uint8Array of coverage (0..255); the region is where the bilinearly sampled
+// coverage reaches half, so soft brush edges give a smooth boundary. Region reruns clip the old
+// paths at that boundary and stitch the regenerated paths onto the cut ends.
+
+// Coverage of a polygon (image-space points) sampled at pixel centres, even-odd rule
+function selectionMaskFromPolygon(points, width, height) {
+    const mask = new Uint8Array(width * height);
+    const crossings = [];
+    for (let y = 0; y < height; y++) {
+        const cy = y + 0.5;
+        crossings.length = 0;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.y > cy) !== (b.y > cy)) {
+                crossings.push(a.x + (cy - a.y) * (b.x - a.x) / (b.y - a.y));
+            }
+        }
+        crossings.sort((a, b) => a - b);
+        for (let k = 0; k + 1 < crossings.length; k += 2) {
+            const x0 = Math.max(0, Math.ceil(crossings[k] - 0.5));
+            const x1 = Math.min(width - 1, Math.floor(crossings[k + 1] - 0.5));
+            for (let x = x0; x <= x1; x++) mask[y * width + x] = 255;
+        }
+    }
+    return mask;
+}
+
+// Bounding box of the covered pixels, or null when the mask is empty
+function selectionMaskBounds(mask, width, height) {
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (mask[y * width + x] < 128) continue;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+    }
+    return maxX < 0 ? null : { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+// Point-in-region test for a selection
+function createRegionTest(selection, width, height) {
+    const { x, y, w, h, mask } = selection;
+    if (!mask) {
+        return (px, py) => px >= x && px <= x + w && py >= y && py <= y + h;
+    }
+    const at = (ix, iy) => mask[Math.max(0, Math.min(height - 1, iy)) * width + Math.max(0, Math.min(width - 1, ix))];
+    return (px, py) => {
+        if (px < 0 || py < 0 || px > width || py > height) return false;
+        const fx = px - 0.5;
+        const fy = py - 0.5;
+        const ix = Math.floor(fx);
+        const iy = Math.floor(fy);
+        const tx = fx - ix;
+        const ty = fy - iy;
+        const top = at(ix, iy) * (1 - tx) + at(ix + 1, iy) * tx;
+        const bottom = at(ix, iy + 1) * (1 - tx) + at(ix + 1, iy + 1) * tx;
+        return top * (1 - ty) + bottom * ty >= 127.5;
+    };
+}
+
+// Where the segment a -> b crosses the region boundary, a being inside and b outside (or the
+// other way round); bisection to well under a hundredth of a pixel
+function regionBoundaryPoint(a, b, inside) {
+    const aInside = inside(a.x, a.y);
+    let lo = 0;
+    let hi = 1;
+    for (let i = 0; i < 20; i++) {
+        const mid = (lo + hi) / 2;
+        if (inside(a.x + (b.x - a.x) * mid, a.y + (b.y - a.y) * mid) === aInside) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+    const t = (lo + hi) / 2;
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+// Splits paths at the region boundary. Paths entirely outside are kept as they are; each touched
+// path is listed in `removed` (with its index) and replaced by its outside pieces, which record
+// in cutStart/cutEnd which of their ends lie on the boundary. Segments are sampled about once per
+// pixel, so long straight segments (hatching) are cut where they cross the region too.
+function clipPathsToRegion(paths, inside) {
+    const kept = [];
+    const removed = [];
+    const pieces = [];
+
+    paths.forEach((path, index) => {
+        if (!path || path.length === 0) return;
+
+        let touched = false;
+        let piece = null;
+        const finish = (cutEnd) => {
+            piece.cutEnd = cutEnd;
+            piece.layer = path.layer || 0;
+            if (piece.length >= 2) pieces.push(piece);
+            piece = null;
+        };
+
+        let prev = path[0];
+        let prevInside = inside(prev.x, prev.y);
+        if (prevInside) {
+            touched = true;
+        } else {
+            piece = [prev];
+            piece.cutStart = false;
+        }
+        for (let i = 1; i < path.length; i++) {
+            const p = path[i];
+            const steps = Math.max(1, Math.ceil(Math.hypot(p.x - prev.x, p.y - prev.y)));
+            let a = prev;
+            let aInside = prevInside;
+            for (let k = 1; k <= steps; k++) {
+                const b = k === steps ? p : { x: prev.x + (p.x - prev.x) * k / steps, y: prev.y + (p.y - prev.y) * k / steps };
+                const bInside = inside(b.x, b.y);
+                if (bInside !== aInside) {
+                    touched = true;
+                    const cut = regionBoundaryPoint(a, b, inside);
+                    if (piece) {
+                        piece.push(cut);
+                        finish(true);
+                    } else {
+                        piece = [cut];
+                        piece.cutStart = true;
+                    }
+                }
+                a = b;
+                aInside = bInside;
+            }
+            if (piece) piece.push(p);
+            prev = p;
+            prevInside = aInside;
+        }
+
+        if (!touched) {
+            kept.push(path);
+            return;
+        }
+        if (piece) finish(false);
+        removed.push({ index, path });
+    });
+
+    return { kept, removed, pieces };
+}
+
+// Clips raw marching-squares segments ({ x1, y1, x2, y2 }) to the inside of the region
+function clipSegmentsToRegion(lines, inside) {
+    const clipped = [];
+    for (const line of lines) {
+        const a = { x: line.x1, y: line.y1 };
+        const b = { x: line.x2, y: line.y2 };
+        const aInside = inside(a.x, a.y);
+        const bInside = inside(b.x, b.y);
+        if (aInside && bInside) {
+            clipped.push(line);
+        } else if (aInside || bInside) {
+            const p = regionBoundaryPoint(a, b, inside);
+            clipped.push(aInside ? { x1: a.x, y1: a.y, x2: p.x, y2: p.y } : { x1: p.x, y1: p.y, x2: b.x, y2: b.y });
+        }
+    }
+    return clipped;
+}
+
+// Joins regenerated paths onto the cut ends of clipped pieces. Ends closer than maxGap are paired
+// nearest first, each end at most once, and every chain of linked paths becomes one path (closed
+// when it loops back on itself). Returns the merged paths; cut flags are dropped.
+function stitchPaths(pieces, added, maxGap) {
+    const nodes = [...pieces.map(path => ({ path, old: true })), ...added.map(path => ({ path, old: false }))];
+    const oldEnds = [];
+    const newEnds = [];
+    nodes.forEach((node, n) => {
+        const { path } = node;
+        if (node.old) {
+            if (path.cutStart) oldEnds.push({ n, atStart: true, point: path[0] });
+            if (path.cutEnd) oldEnds.push({ n, atStart: false, point: path[path.length - 1] });
+        } else if (path.length >= 2) {
+            newEnds.push({ n, atStart: true, point: path[0] });
+            newEnds.push({ n, atStart: false, point: path[path.length - 1] });
+        }
+    });
+
+    // Grid of new ends so each old end only looks at its neighbourhood
+    const cell = Math.max(1, maxGap);
+    const grid = new Map();
+    const key = (cx, cy) => cx * 100003 + cy;
+    for (const end of newEnds) {
+        const k = key(Math.floor(end.point.x / cell), Math.floor(end.point.y / cell));
+        if (!grid.has(k)) grid.set(k, []);
+        grid.get(k).push(end);
+    }
+    const pairs = [];
+    for (const end of oldEnds) {
+        const cx = Math.floor(end.point.x / cell);
+        const cy = Math.floor(end.point.y / cell);
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                for (const other of grid.get(key(cx + dx, cy + dy)) || []) {
+                    const d = Math.hypot(end.point.x - other.point.x, end.point.y - other.point.y);
+                    if (d <= maxGap) pairs.push({ a: end, b: other, d });
+                }
+            }
+        }
+    }
+    pairs.sort((p, q) => p.d - q.d);
+
+    // links[n] = [link at start, link at end], each { n, atStart } of the joined end
+    const links = nodes.map(() => [null, null]);
+    for (const { a, b } of pairs) {
+        const sideA = a.atStart ? 0 : 1;
+        const sideB = b.atStart ? 0 : 1;
+        if (links[a.n][sideA] || links[b.n][sideB]) continue;
+        links[a.n][sideA] = { n: b.n, atStart: b.atStart };
+        links[b.n][sideB] = { n: a.n, atStart: a.atStart };
+    }
+
+    const visited = new Uint8Array(nodes.length);
+    const merged = [];
+    const walk = (start, forward) => {
+        const points = [];
+        let layer = null; // Layer of the first old piece in the chain, so reruns keep pen colours
+        let n = start;
+        let enterAtStart = forward;
+        while (n !== null && !visited[n]) {
+            visited[n] = 1;
+            const { path, old } = nodes[n];
+            if (old && layer === null) layer = path.layer || 0;
+            const ordered = enterAtStart ? path : [...path].reverse();
+            // Consecutive paths share (or nearly share) the junction point; keep both unless identical
+            const first = points.length > 0 && points[points.length - 1].x === ordered[0].x && points[points.length - 1].y === ordered[0].y ? 1 : 0;
+            for (let i = first; i < ordered.length; i++) points.push(ordered[i]);
+            const exit = links[n][enterAtStart ? 1 : 0];
+            if (!exit) break;
+            n = exit.n;
+            enterAtStart = exit.atStart;
+            if (visited[n]) {
+                points.push({ ...points[0] }); // Looped back to the first path
+            }
+        }
+        points.layer = layer !== null ? layer : nodes[start].path.layer || 0;
+        return points;
+    };
+
+    // Open chains start at an end without a link; whatever is left over forms loops
+    nodes.forEach((node, n) => {
+        if (visited[n]) return;
+        if (!links[n][0]) merged.push(walk(n, true));
+        else if (!links[n][1]) merged.push(walk(n, false));
+    });
+    nodes.forEach((node, n) => {
+        if (!visited[n]) merged.push(walk(n, true));
+    });
+    return merged.filter(path => path.length >= 2);
+}
+
+// ============================================
+// COMPOSITIONS
+// ============================================
+// options.regions assigns its own mode and settings to masked parts of the image. Each region is
+// { name, mask, options }: mask is a coverage mask as for lasso/brush selections (0..255, image
+// sized) and options override the base options inside it. Everything no region covers is the
+// background, drawn with the base options; where masks overlap the later region wins. All regions
+// share one distance field, so the settings that feed the Eikonal solve always come from the base.
+const REGION_SHARED_OPTIONS = ['threshold', 'invert', 'seed', 'seedMask', 'seedMaskMode', 'speedMode', 'speedContrast', 'speedCurve', 'solver', 'regions'];
+
+function resolveRegionOptions(base, region) {
+    const options = { ...base, ...region.options };
+    for (const key of REGION_SHARED_OPTIONS) options[key] = base[key];
+    return options;
+}
+
+// Index of the region owning a point: the last one whose mask covers it, or -1 for the background
+function createRegionOwner(regions, width, height) {
+    const tests = regions.map(region => createRegionTest({ mask: region.mask }, width, height));
+    return (x, y) => {
+        for (let k = tests.length - 1; k >= 0; k--) {
+            if (tests[k](x, y)) return k;
+        }
+        return -1;
+    };
+}
+
+// Region coverage from a mask image: white is inside, grey partly (soft edges), black or
+// transparent outside
+function regionMaskFromImageData(imageData) {
+    const { data } = imageData;
+    const mask = new Uint8Array(imageData.width * imageData.height);
+    for (let i = 0; i < mask.length; i++) {
+        const luma = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        mask[i] = Math.round(luma * data[i * 4 + 3] / 255);
+    }
+    return mask;
+}
+
+// ============================================
+// ANIMATION
+// ============================================
+// The distance field is an arrival-time map, so the artwork can grow the way the wave travelled.
+// Every path gets a reveal window { kind, start, end } on a 0..1 progress scale: contours and
+// hatching are drawn in order of arrival time (for contours, their level), streamlines grow along
+// their length from where they start, TSP tours are drawn end to end over the whole animation and
+// stipple dots fade in by distance from the wave's origin. Easing maps clock time to progress, so the windows don't
+// depend on duration or frame rate.
+const defaultAnimationOptions = {
+    duration: 6, // Seconds for the full reveal
+    easing: 'ease-in-out',
+    loop: true,
+    fps: 24 // Frame rate of raster exports (GIF, WebM, PNG frames)
+};
+
+const ANIMATION_EASINGS = {
+    'linear': t => t,
+    'ease-in': t => t * t,
+    'ease-out': t => 1 - (1 - t) * (1 - t),
+    'ease-in-out': t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t))
+};
+
+// Looping animations hold the finished artwork for this fraction of the duration before restarting
+const ANIMATION_LOOP_HOLD = 0.25;
+
+function resolveEasing(name = defaultAnimationOptions.easing) {
+    const ease = ANIMATION_EASINGS[name];
+    if (!ease) throw new Error(`Unknown easing "${name}". Available: ${Object.keys(ANIMATION_EASINGS).join(', ')}`);
+    return ease;
+}
+
+// Clock time at which eased progress reaches p; every easing is monotonic, so bisect
+function easeInverse(ease, p) {
+    let lo = 0, hi = 1;
+    for (let i = 0; i < 30; i++) {
+        const mid = (lo + hi) / 2;
+        if (ease(mid) < p) lo = mid;
+        else hi = mid;
+    }
+    return hi;
+}
+
+// The first `fraction` of a path by length, ending on an interpolated point
+function trimPath(path, fraction) {
+    if (fraction >= 1) return path;
+
+    let total = 0;
+    for (let i = 1; i < path.length; i++) {
+        total += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+    }
+
+    const trimmed = [path[0]];
+    let remaining = total * Math.max(0, fraction);
+    for (let i = 1; i < path.length && remaining > 0; i++) {
+        const a = path[i - 1], b = path[i];
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        if (length <= remaining) {
+            trimmed.push(b);
+            remaining -= length;
+        } else {
+            const t = remaining / length;
+            trimmed.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+            remaining = 0;
+        }
+    }
+
+    if (path.layer !== undefined) trimmed.layer = path.layer;
+    return trimmed;
+}
+
+// Reveal windows for paths. modeOf(path) names the mode that produced a path; arrival times are
+// read from the solution and normalised by its largest finite value.
+function buildRevealSchedule(paths, solution, width, height, modeOf) {
+    let maxTime = 0;
+    for (let i = 0; i < solution.length; i++) {
+        if (solution[i] < Infinity && solution[i] > maxTime) maxTime = solution[i];
+    }
+
+    const indexOf = p => {
+        const x = Math.min(width - 1, Math.max(0, Math.round(p.x)));
+        const y = Math.min(height - 1, Math.max(0, Math.round(p.y)));
+        return y * width + x;
+    };
+    const arrival = p => {
+        const value = solution[indexOf(p)];
+        return value < Infinity && maxTime > 0 ? value / maxTime : 1;
+    };
+
+    // Stipple dots sit mostly on seed pixels, where the arrival time is 0, so they use a signed
+    // distance instead: from deep inside the seeds out to their edges, then on with the wave
+    let depth = null, maxDepth = 0;
+    const signedDistance = p => {
+        if (!depth) {
+            const outside = new Uint8Array(solution.length);
+            for (let i = 0; i < solution.length; i++) outside[i] = solution[i] > 0 ? 1 : 0;
+            depth = euclideanDistanceTransform(outside, width, height);
+            for (let i = 0; i < depth.length; i++) {
+                if (depth[i] < Infinity && depth[i] > maxDepth) maxDepth = depth[i];
+            }
+        }
+        const i = indexOf(p);
+        const inside = depth[i] < Infinity ? depth[i] : 0;
+        const value = solution[i] < Infinity ? solution[i] : maxTime;
+        return maxDepth + maxTime > 0 ? (maxDepth - inside + value) / (maxDepth + maxTime) : 0;
+    };
+
+    return paths.map(path => {
+        switch (modeOf(path)) {
+            case 'tsp':
+                return { kind: 'draw', start: 0, end: 1 };
+            case 'stipple': {
+                const t = signedDistance(path[0]);
+                return { kind: 'fade', start: t * 0.9, end: t * 0.9 + 0.1 };
+            }
+            case 'streamlines': {
+                const t = arrival(path[0]);
+                return { kind: 'draw', start: t * 0.5, end: t * 0.5 + 0.5 };
+            }
+            default: {
+                let sum = 0;
+                for (const p of path) sum += arrival(p);
+                const t = sum / path.length;
+                return { kind: 'draw', start: t * 0.85, end: t * 0.85 + 0.15 };
+            }
+        }
+    });
+}
+
+// The paths visible at clock time t (0..1) as { path, source, fraction, alpha }: drawn paths are
+// trimmed to the fraction of their length reached, faded ones keep their shape and take an
+// opacity; source is the untrimmed path
+function animationFrame(paths, schedule, t, ease) {
+    const progress = ease(Math.min(1, Math.max(0, t)));
+    const frame = [];
+    for (let i = 0; i < paths.length; i++) {
+        const { kind, start, end } = schedule[i];
+        const f = Math.min(1, (progress - start) / (end - start));
+        if (!(f > 0)) continue;
+        if (kind === 'fade') {
+            frame.push({ path: paths[i], source: paths[i], fraction: 1, alpha: f });
+        } else {
+            frame.push({ path: trimPath(paths[i], f), source: paths[i], fraction: f, alpha: 1 });
+        }
+    }
+    return frame;
+}
+
+// Animated GIF encoder: frames are RGBA arrays of width * height pixels, mapped onto a fixed
+// 6x7x6 colour cube and LZW-compressed as they are added. delay is in centiseconds; a looping
+// GIF repeats forever, otherwise it plays once.
+function createGIFEncoder(width, height, { delay = 4, loop = true } = {}) {
+    const chunks = [];
+    const bytes = values => chunks.push(Uint8Array.from(values));
+    const word = value => [value & 0xff, (value >> 8) & 0xff];
+    const ascii = text => [...text].map(c => c.charCodeAt(0));
+
+    const palette = [];
+    for (let r = 0; r < 6; r++) {
+        for (let g = 0; g < 7; g++) {
+            for (let b = 0; b < 6; b++) {
+                palette.push(Math.round(r * 255 / 5), Math.round(g * 255 / 6), Math.round(b * 255 / 5));
+            }
+        }
+    }
+    while (palette.length < 256 * 3) palette.push(0);
+
+    bytes([...ascii('GIF89a'), ...word(width), ...word(height), 0xf7, 0, 0]);
+    bytes(palette);
+    if (loop) {
+        bytes([0x21, 0xff, 0x0b, ...ascii('NETSCAPE2.0'), 0x03, 0x01, 0, 0, 0]);
+    }
+
+    return {
+        addFrame(rgba) {
+            const indices = new Uint8Array(width * height);
+            for (let i = 0; i < indices.length; i++) {
+                const alpha = rgba[i * 4 + 3] / 255;
+                // Transparent pixels are composited onto white
+                const r = rgba[i * 4] * alpha + 255 * (1 - alpha);
+                const g = rgba[i * 4 + 1] * alpha + 255 * (1 - alpha);
+                const b = rgba[i * 4 + 2] * alpha + 255 * (1 - alpha);
+                indices[i] = Math.round(r * 5 / 255) * 42 + Math.round(g * 6 / 255) * 6 + Math.round(b * 5 / 255);
+            }
+
+            bytes([0x21, 0xf9, 0x04, 0x04, ...word(delay), 0, 0]);
+            bytes([0x2c, 0, 0, 0, 0, ...word(width), ...word(height), 0]);
+            chunks.push(gifLZW(indices, 8));
+        },
+
+        finish() {
+            bytes([0x3b]);
+            const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+            const out = new Uint8Array(total);
+            let offset = 0;
+            for (const chunk of chunks) {
+                out.set(chunk, offset);
+                offset += chunk.length;
+            }
+            return out;
+        }
+    };
+}
+
+// GIF image data: minimum code size, LZW codes packed LSB-first into 255-byte sub-blocks
+function gifLZW(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [minCodeSize];
+    const block = [];
+    let bits = 0, bitCount = 0;
+
+    const emit = (code, size) => {
+        bits |= code << bitCount;
+        bitCount += size;
+        while (bitCount >= 8) {
+            block.push(bits & 0xff);
+            bits >>>= 8;
+            bitCount -= 8;
+            if (block.length === 255) {
+                out.push(255, ...block);
+                block.length = 0;
+            }
+        }
+    };
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    emit(clearCode, codeSize);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = prefix * 256 + k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix, codeSize);
+        if (nextCode === 4096) {
+            emit(clearCode, codeSize);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+
+    emit(prefix, codeSize);
+    emit(endCode, codeSize);
+    if (bitCount > 0) emit(0, 8 - bitCount);
+    if (block.length > 0) out.push(block.length, ...block);
+    out.push(0);
+    return Uint8Array.from(out);
+}
+
+let crcTable = null;
+
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Uncompressed ZIP archive of { name, data: Uint8Array } files (used for PNG frame sequences,
+// which are already compressed)
+function encodeZip(files) {
+    const encoder = new TextEncoder();
+    const local = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(12, 0x21, true); // 1980-01-01
+        header.setUint32(14, crc, true);
+        header.setUint32(18, file.data.length, true);
+        header.setUint32(22, file.data.length, true);
+        header.setUint16(26, name.length, true);
+        local.push(new Uint8Array(header.buffer), name, file.data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(14, 0x21, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, file.data.length, true);
+        entry.setUint32(24, file.data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), name);
+
+        offset += 30 + name.length + file.data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...local, ...central, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    for (const part of parts) {
+        out.set(part, position);
+        position += part.length;
+    }
+    return out;
+}
+
+// ============================================
+// IMAGE PREPROCESSING
+// ============================================
+// A non-destructive stack run before the solve, in two parts. Geometry (crop, rotate, straighten,
+// resize) turns the loaded image into the working image the rest of the pipeline sees; masks
+// drawn over the loaded image (seeds, regions) are sampled through the same map, and a print size
+// still resamples the result. Tone (denoise, CLAHE, then levels, gamma and the tone curve)
+// reshapes the working grayscale before `invert`.
+const DENOISE_MODES = ['none', 'gaussian', 'bilateral'];
+const PREPROCESS_OPTIONS = [
+    'cropLeft', 'cropTop', 'cropRight', 'cropBottom', 'rotate', 'straighten', 'resizeWidth',
+    'denoise', 'denoiseRadius', 'denoiseRange', 'blackPoint', 'whitePoint', 'gamma', 'toneCurve',
+    'clahe', 'claheClip', 'claheTiles'
+];
+
+// The geometry options as one affine map, or null when they leave the image as it is. matrix
+// [a, b, c, d, e, f] takes a point of the width x height working image back to the image
+// (x' = a x + c y + e, y' = b x + d y + f in continuous pixel coordinates, as canvas transforms do).
+function resolveImageGeometry(options, imageWidth, imageHeight) {
+    const percent = key => Math.max(0, Math.min(100, Number(options[key]) || 0)) / 100;
+    const left = percent('cropLeft') * imageWidth;
+    const top = percent('cropTop') * imageHeight;
+    const cropWidth = Math.max(1, imageWidth - left - percent('cropRight') * imageWidth);
+    const cropHeight = Math.max(1, imageHeight - top - percent('cropBottom') * imageHeight);
+    const turns = ((Math.round((Number(options.rotate) || 0) / 90) % 4) + 4) % 4;
+    const angle = Math.max(-45, Math.min(45, Number(options.straighten) || 0)) * Math.PI / 180;
+    const resizeWidth = Math.round(Number(options.resizeWidth) || 0);
+    const cropped = cropWidth !== imageWidth || cropHeight !== imageHeight;
+    if (!cropped && turns === 0 && angle === 0 && !(resizeWidth > 0 && resizeWidth !== imageWidth)) return null;
+
+    // Size after the quarter turns; straightening keeps it and zooms in until no corner is empty
+    const rotatedWidth = turns % 2 ? cropHeight : cropWidth;
+    const rotatedHeight = turns % 2 ? cropWidth : cropHeight;
+    const tilt = Math.abs(angle);
+    const zoom = Math.min(
+        rotatedWidth / (rotatedWidth * Math.cos(tilt) + rotatedHeight * Math.sin(tilt)),
+        rotatedHeight / (rotatedWidth * Math.sin(tilt) + rotatedHeight * Math.cos(tilt)));
+    const width = Math.max(1, resizeWidth > 0 ? resizeWidth : Math.round(rotatedWidth));
+    const height = Math.max(1, Math.round(width * rotatedHeight / rotatedWidth));
+    const scaleX = rotatedWidth / width;
+    const scaleY = rotatedHeight / height;
+
+    // Clockwise turn by turns * 90 degrees plus the straighten angle, exact for the quarter turns
+    const quarterCos = [1, 0, -1, 0][turns];
+    const quarterSin = [0, 1, 0, -1][turns];
+    const cos = (quarterCos * Math.cos(angle) - quarterSin * Math.sin(angle)) * zoom;
+    const sin = (quarterSin * Math.cos(angle) + quarterCos * Math.sin(angle)) * zoom;
+    const centerX = left + cropWidth / 2;
+    const centerY = top + cropHeight / 2;
+    return {
+        imageWidth,
+        imageHeight,
+        width,
+        height,
+        matrix: [
+            cos * scaleX, -sin * scaleX,
+            sin * scaleY, cos * scaleY,
+            centerX - (cos * rotatedWidth + sin * rotatedHeight) / 2,
+            centerY + (sin * rotatedWidth - cos * rotatedHeight) / 2
+        ]
+    };
+}
+
+// Tone curve text "input:output, ..." into points, or null when empty
+function parseToneCurve(text) {
+    return String(text || '').trim() ? parseCurvePoints(text, 'Tone curve', 'input:output') : null;
+}
+
+// Levels, gamma and the tone curve, in place. Each pixel is adjusted on its own, so tiled runs
+// apply this per tile.
+function applyToneAdjustments(gray, options) {
+    const black = Math.max(0, Math.min(99, options.blackPoint ?? 0)) / 100;
+    const white = Math.max(black + 0.01, Math.min(1, (options.whitePoint ?? 100) / 100));
+    const gamma = Number(options.gamma) > 0 ? Number(options.gamma) : 1;
+    const curve = parseToneCurve(options.toneCurve);
+    if (black === 0 && white === 1 && gamma === 1 && !curve) return gray;
+
+    for (let i = 0; i < gray.length; i++) {
+        let value = Math.max(0, Math.min(1, (gray[i] - black) / (white - black)));
+        if (gamma !== 1) value = Math.pow(value, 1 / gamma);
+        gray[i] = curve ? evaluateCurve(curve, value) : value;
+    }
+    return gray;
+}
+
+// Separable Gaussian blur with clamped edges; sigma in pixels
+function gaussianBlurGray(gray, width, height, sigma) {
+    const radius = Math.max(1, Math.ceil(sigma * 3));
+    const kernel = new Float32Array(radius * 2 + 1);
+    let total = 0;
+    for (let k = -radius; k <= radius; k++) {
+        kernel[k + radius] = Math.exp(-k * k / (2 * sigma * sigma));
+        total += kernel[k + radius];
+    }
+    for (let k = 0; k < kernel.length; k++) kernel[k] /= total;
+
+    const pass = (input, horizontal) => {
+        const output = new Float32Array(input.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const sx = horizontal ? Math.min(width - 1, Math.max(0, x + k)) : x;
+                    const sy = horizontal ? y : Math.min(height - 1, Math.max(0, y + k));
+                    sum += input[sy * width + sx] * kernel[k + radius];
+                }
+                output[y * width + x] = sum;
+            }
+        }
+        return output;
+    };
+    return pass(pass(gray, true), false);
+}
+
+// Edge-preserving blur: neighbours count less the further their tone is from the centre pixel,
+// so flat areas smooth out while edges more than about `range` apart stay sharp
+function bilateralFilterGray(gray, width, height, sigma, range) {
+    const radius = Math.max(1, Math.ceil(sigma * 2));
+    const spatial = new Float32Array((radius * 2 + 1) ** 2);
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            spatial[(dy + radius) * (radius * 2 + 1) + dx + radius] = Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+        }
+    }
+    const rangeScale = -1 / (2 * Math.max(1e-3, range) ** 2);
+
+    const output = new Float32Array(gray.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const center = gray[y * width + x];
+            let sum = 0;
+            let weights = 0;
+            for (let dy = -radius; dy <= radius; dy++) {
+                const sy = Math.min(height - 1, Math.max(0, y + dy));
+                for (let dx = -radius; dx <= radius; dx++) {
+                    const value = gray[sy * width + Math.min(width - 1, Math.max(0, x + dx))];
+                    const difference = value - center;
+                    const weight = spatial[(dy + radius) * (radius * 2 + 1) + dx + radius] * Math.exp(difference * difference * rangeScale);
+                    sum += value * weight;
+                    weights += weight;
+                }
+            }
+            output[y * width + x] = sum / weights;
+        }
+    }
+    return output;
+}
+
+// Contrast-limited adaptive histogram equalisation: each of tiles x tiles blocks gets its own
+// equalising tone map, with histogram bins clipped at clipLimit times the average bin so flat
+// areas are not blown up into noise. Pixels blend the maps of the four nearest block centres.
+function equalizeLocalContrast(gray, width, height, tiles, clipLimit) {
+    const BINS = 256;
+    const tilesX = Math.max(1, Math.min(width, Math.round(tiles)));
+    const tilesY = Math.max(1, Math.min(height, Math.round(tiles)));
+    const bin = value => Math.min(BINS - 1, Math.max(0, Math.floor(value * BINS)));
+
+    const maps = new Float32Array(tilesX * tilesY * BINS);
+    for (let ty = 0; ty < tilesY; ty++) {
+        for (let tx = 0; tx < tilesX; tx++) {
+            const x0 = Math.floor(tx * width / tilesX), x1 = Math.floor((tx + 1) * width / tilesX);
+            const y0 = Math.floor(ty * height / tilesY), y1 = Math.floor((ty + 1) * height / tilesY);
+            const histogram = new Float32Array(BINS);
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) histogram[bin(gray[y * width + x])]++;
+            }
+            const count = (x1 - x0) * (y1 - y0);
+            const clip = Math.max(1, clipLimit * count / BINS);
+            let excess = 0;
+            for (let b = 0; b < BINS; b++) {
+                if (histogram[b] > clip) {
+                    excess += histogram[b] - clip;
+                    histogram[b] = clip;
+                }
+            }
+            const map = (ty * tilesX + tx) * BINS;
+            let cumulative = 0;
+            for (let b = 0; b < BINS; b++) {
+                cumulative += histogram[b] + excess / BINS;
+                maps[map + b] = cumulative / count;
+            }
+        }
+    }
+
+    const output = new Float32Array(gray.length);
+    const blockWidth = width / tilesX;
+    const blockHeight = height / tilesY;
+    for (let y = 0; y < height; y++) {
+        const gy = Math.max(0, (y + 0.5) / blockHeight - 0.5);
+        const ty0 = Math.min(tilesY - 1, Math.floor(gy)), ty1 = Math.min(tilesY - 1, ty0 + 1);
+        const fy = Math.min(1, gy - ty0);
+        for (let x = 0; x < width; x++) {
+            const gx = Math.max(0, (x + 0.5) / blockWidth - 0.5);
+            const tx0 = Math.min(tilesX - 1, Math.floor(gx)), tx1 = Math.min(tilesX - 1, tx0 + 1);
+            const fx = Math.min(1, gx - tx0);
+            const b = bin(gray[y * width + x]);
+            const top = maps[(ty0 * tilesX + tx0) * BINS + b] * (1 - fx) + maps[(ty0 * tilesX + tx1) * BINS + b] * fx;
+            const bottom = maps[(ty1 * tilesX + tx0) * BINS + b] * (1 - fx) + maps[(ty1 * tilesX + tx1) * BINS + b] * fx;
+            output[y * width + x] = top * (1 - fy) + bottom * fy;
+        }
+    }
+    return output;
+}
+
+// Denoise and CLAHE read neighbouring pixels, so they need the whole working image
+function usesNeighbourhoodFilters(options) {
+    return (options.denoise && options.denoise !== 'none') || !!options.clahe;
+}
+
+// The tone part of the stack for a whole width x height grayscale, before invert. Returns the
+// adjusted grayscale, which may be gray itself.
+function preprocessGrayscale(gray, width, height, options) {
+    const denoise = options.denoise || 'none';
+    if (!DENOISE_MODES.includes(denoise)) {
+        throw new Error(`Unknown denoise mode "${denoise}". Available: ${DENOISE_MODES.join(', ')}`);
+    }
+    const radius = Number(options.denoiseRadius ?? defaultOptions.denoiseRadius);
+    if (denoise === 'gaussian' && radius > 0) {
+        gray = gaussianBlurGray(gray, width, height, radius);
+    } else if (denoise === 'bilateral' && radius > 0) {
+        gray = bilateralFilterGray(gray, width, height, radius, Number(options.denoiseRange ?? defaultOptions.denoiseRange));
+    }
+    if (options.clahe) {
+        gray = equalizeLocalContrast(gray, width, height,
+            Number(options.claheTiles) || defaultOptions.claheTiles, Number(options.claheClip) || defaultOptions.claheClip);
+    }
+    return applyToneAdjustments(gray, options);
+}
+
+// ============================================
+// COLOR SEPARATION
+// ============================================
+// options.colorMode splits the working image into inks, each drawn as its own layers with its own
+// pen: 'cmyk' and 'cmy' separate process colours, 'palette' finds paletteSize inks by k-means
+// against white paper. Every ink becomes a grayscale field (1 - coverage) that runs the rest of
+// the pipeline on its own: tone preprocessing and invert, seeds, speed cost, Eikonal solve and
+// extraction. Inks are spread apart so their patterns don't beat against each other: hatch passes
+// are turned by i / N of the 45° they repeat at and shifted by i / N of the spacing, and seeded
+// modes (stipple, TSP, streamlines) draw each ink from its own seed.
+const COLOR_MODES = ['none', 'cmyk', 'cmy', 'palette'];
+
+const PROCESS_INKS = {
+    cyan: { name: 'Cyan', color: '#00ffff' },
+    magenta: { name: 'Magenta', color: '#ff00ff' },
+    yellow: { name: 'Yellow', color: '#ffff00' },
+    black: { name: 'Black', color: '#000000' }
+};
+
+// Pixels sampled to fit the palette; more only slows k-means down
+const PALETTE_SAMPLES = 20000;
+const PALETTE_ITERATIONS = 20;
+const PAPER_RGB = [255, 255, 255];
+
+function toHexColor(rgb) {
+    return `#${rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function colorDistance(a, b) {
+    return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+function nearestCentre(rgb, centres) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let c = 0; c < centres.length; c++) {
+        const d = colorDistance(rgb, centres[c]);
+        if (d < bestDistance) {
+            best = c;
+            bestDistance = d;
+        }
+    }
+    return best;
+}
+
+// Process colour coverage (0..1) per pixel; without black, CMY carries all of the darkness
+function separateProcessColors(data, count, withBlack) {
+    const inks = withBlack ? ['cyan', 'magenta', 'yellow', 'black'] : ['cyan', 'magenta', 'yellow'];
+    const coverage = inks.map(() => new Float32Array(count));
+    for (let i = 0; i < count; i++) {
+        const r = data[i * 4] / 255;
+        const g = data[i * 4 + 1] / 255;
+        const b = data[i * 4 + 2] / 255;
+        const k = withBlack ? 1 - Math.max(r, g, b) : 0;
+        const scale = k < 1 ? 1 / (1 - k) : 0;
+        coverage[0][i] = (1 - r - k) * scale;
+        coverage[1][i] = (1 - g - k) * scale;
+        coverage[2][i] = (1 - b - k) * scale;
+        if (withBlack) coverage[3][i] = k;
+    }
+    return inks.map((ink, c) => ({ ...PROCESS_INKS[ink], coverage: coverage[c] }));
+}
+
+// k-means over a sample of the pixels with white paper as a fixed extra centre, seeded with
+// k-means++ from a fixed seed so a palette only changes with the image. Returns [r, g, b] inks,
+// darkest first.
+function findPalette(data, count, size) {
+    const random = createRandom(1);
+    const step = Math.max(1, count / PALETTE_SAMPLES);
+    const samples = [];
+    for (let i = 0; i < count; i += step) {
+        const p = Math.floor(i) * 4;
+        samples.push([data[p], data[p + 1], data[p + 2]]);
+    }
+    const centres = [PAPER_RGB];
+    const nearest = samples.map(sample => colorDistance(sample, PAPER_RGB));
+    while (centres.length <= size) {
+        const total = nearest.reduce((sum, d) => sum + d, 0);
+        if (total === 0) break;
+        let pick = random() * total;
+        let index = 0;
+        while (index < samples.length - 1 && (pick -= nearest[index]) > 0) index++;
+        const centre = samples[index].slice();
+        centres.push(centre);
+        samples.forEach((sample, i) => { nearest[i] = Math.min(nearest[i], colorDistance(sample, centre)); });
+    }
+
+    for (let iteration = 0; iteration < PALETTE_ITERATIONS; iteration++) {
+        const sums = centres.map(() => [0, 0, 0, 0]);
+        for (const sample of samples) {
+            const sum = sums[nearestCentre(sample, centres)];
+            sum[0] += sample[0];
+            sum[1] += sample[1];
+            sum[2] += sample[2];
+            sum[3]++;
+        }
+        let moved = false;
+        for (let c = 1; c < centres.length; c++) {
+            const [r, g, b, n] = sums[c];
+            if (n === 0) continue;
+            const next = [r / n, g / n, b / n];
+            if (colorDistance(next, centres[c]) > 0.25) moved = true;
+            centres[c] = next;
+        }
+        if (!moved) break;
+    }
+
+    const luma = ([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b;
+    return centres.slice(1).sort((a, b) => luma(a) - luma(b));
+}
+
+// Palette coverage: each pixel belongs to its nearest ink (or the paper), covering it by how far
+// along the line from paper to that ink its colour lies
+function separatePalette(data, count, size) {
+    const palette = findPalette(data, count, size);
+    const centres = [PAPER_RGB, ...palette];
+    const coverage = palette.map(() => new Float32Array(count));
+    const rgb = [0, 0, 0];
+    for (let i = 0; i < count; i++) {
+        rgb[0] = data[i * 4];
+        rgb[1] = data[i * 4 + 1];
+        rgb[2] = data[i * 4 + 2];
+        const c = nearestCentre(rgb, centres);
+        if (c === 0) continue;
+        const ink = centres[c];
+        const length = colorDistance(ink, PAPER_RGB);
+        const along = length > 0
+            ? ((rgb[0] - 255) * (ink[0] - 255) + (rgb[1] - 255) * (ink[1] - 255) + (rgb[2] - 255) * (ink[2] - 255)) / length
+            : 1;
+        coverage[c - 1][i] = Math.min(1, Math.max(0, along));
+    }
+    return palette.map((ink, c) => ({ name: `Ink ${c + 1} ${toHexColor(ink)}`, color: toHexColor(ink), coverage: coverage[c] }));
+}
+
+function separatesColors(options) {
+    return !!options.colorMode && options.colorMode !== 'none';
+}
+
+// Inks of an image for options.colorMode, or null for 'none': [{ name, color, gray, angle,
+// offset }] where gray is 1 - coverage (before preprocessing), angle the hatch rotation in degrees
+// and offset the hatch line shift as a fraction of the spacing
+function separateChannels(imageData, options) {
+    const colorMode = options.colorMode || 'none';
+    if (!COLOR_MODES.includes(colorMode)) {
+        throw new Error(`Unknown color mode "${colorMode}". Available: ${COLOR_MODES.join(', ')}`);
+    }
+    if (colorMode === 'none') return null;
+
+    const count = imageData.width * imageData.height;
+    let inks;
+    if (colorMode === 'palette') {
+        const size = Math.round(Number(options.paletteSize ?? defaultOptions.paletteSize));
+        if (!(size >= 1 && size <= 16)) throw new Error('Palette size must be between 1 and 16 inks');
+        inks = separatePalette(imageData.data, count, size);
+    } else {
+        inks = separateProcessColors(imageData.data, count, colorMode === 'cmyk');
+    }
+    return inks.map(({ name, color, coverage }, i) => {
+        for (let p = 0; p < count; p++) coverage[p] = 1 - coverage[p];
+        return { name, color, gray: coverage, angle: i * 45 / inks.length, offset: i / inks.length };
+    });
+}
+
+// ============================================
+// PATH COLORING
+// ============================================
+// options.pathColoring strokes every path in its own colour instead of its layer's: 'average'
+// takes the mean source image colour along the path, 'gradient' the colours along it and
+// 'colormap' maps its mean distance field value (0 at the seeds, 1 at the farthest point) through
+// options.colormap. A 'gradient' path is drawn as consecutive pieces of about PATH_COLOR_PIECE
+// pixels, each in the mean colour under it, so the colour follows the image along the path
+// wherever it goes; the SVG writes one element per piece.
+const PATH_COLORINGS = ['none', 'average', 'gradient', 'colormap'];
+
+// Stops of the built-in colormaps, evenly spaced from 0 to 1
+const COLORMAPS = {
+    viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+    magma: ['#000004', '#3b0f70', '#8c2981', '#de4968', '#fe9f6d', '#fcfdbf'],
+    plasma: ['#0d0887', '#7e03a8', '#cc4778', '#f89540', '#f0f921'],
+    terrain: ['#333399', '#0099ff', '#00cc66', '#ffff99', '#805c54', '#ffffff']
+};
+
+// Colour samples along a path are this many pixels apart; 'gradient' pieces are about this long
+const PATH_COLOR_STEP = 2;
+const PATH_COLOR_PIECE = 8;
+
+function parseHexColor(text) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(text).trim());
+    if (!match) return null;
+    const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+// Colormap text "position:#rrggbb, ..." into { t, rgb } stops sorted by position
+function parseColorStops(text) {
+    const stops = String(text || '').split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+        const [position, color] = pair.split(':');
+        const t = Number(position);
+        const rgb = color === undefined ? null : parseHexColor(color);
+        if (!Number.isFinite(t) || !rgb) {
+            throw new Error(`Invalid colormap stop "${pair}" (expected position:#rrggbb)`);
+        }
+        return { t: Math.max(0, Math.min(1, t)), rgb };
+    });
+    if (stops.length < 2) throw new Error('Colormap needs at least two position:#rrggbb stops');
+    return stops.sort((a, b) => a.t - b.t);
+}
+
+// Stops for options.colormap, a COLORMAPS name or 'custom' for options.colormapStops
+function resolveColormap(options) {
+    const name = options.colormap || defaultOptions.colormap;
+    if (name === 'custom') return parseColorStops(options.colormapStops);
+    const colors = COLORMAPS[name];
+    if (!colors) {
+        throw new Error(`Unknown colormap "${name}". Available: ${[...Object.keys(COLORMAPS), 'custom'].join(', ')}`);
+    }
+    return colors.map((color, i) => ({ t: i / (colors.length - 1), rgb: parseHexColor(color) }));
+}
+
+// Linear interpolation between the stops, flat beyond the end ones
+function sampleColormap(stops, t) {
+    if (t <= stops[0].t) return stops[0].rgb;
+    for (let i = 1; i < stops.length; i++) {
+        const b = stops[i];
+        if (t <= b.t) {
+            const a = stops[i - 1];
+            const f = b.t > a.t ? (t - a.t) / (b.t - a.t) : 1;
+            return a.rgb.map((v, c) => v + (b.rgb[c] - v) * f);
+        }
+    }
+    return stops[stops.length - 1].rgb;
+}
+
+// Points every PATH_COLOR_STEP pixels along a path, so two-point hatch lines sample their length
+function pathSamplePoints(path) {
+    const points = [path[0]];
+    for (let i = 1; i < path.length; i++) {
+        const a = path[i - 1];
+        const b = path[i];
+        const steps = Math.floor(Math.hypot(b.x - a.x, b.y - a.y) / PATH_COLOR_STEP);
+        for (let k = 1; k <= steps; k++) {
+            const f = k / (steps + 1);
+            points.push({ x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f });
+        }
+        points.push(b);
+    }
+    return points;
+}
+
+// Paint for one path: { color }, or { pieces, length } for a path drawn in pieces of their own
+// colour, each { path, color, span: { start, end, total } } with span placing the piece along the
+// whole path (of the given length). coloring is { mode, width, height } plus what the mode reads:
+// imageData, or solution, maxTime and colormap.
+function pathPaint(path, coloring) {
+    const { mode, width, height } = coloring;
+    const points = pathSamplePoints(path);
+    const indexOf = p => Math.min(height - 1, Math.max(0, Math.round(p.y))) * width + Math.min(width - 1, Math.max(0, Math.round(p.x)));
+
+    if (mode === 'colormap') {
+        let sum = 0;
+        let count = 0;
+        for (const p of points) {
+            const value = coloring.solution[indexOf(p)];
+            if (value < Infinity) {
+                sum += value;
+                count++;
+            }
+        }
+        const t = count > 0 && coloring.maxTime > 0 ? sum / count / coloring.maxTime : 1;
+        return { color: toHexColor(sampleColormap(coloring.colormap, t)) };
+    }
+
+    const data = coloring.imageData.data;
+    const colorAt = p => {
+        const i = indexOf(p) * 4;
+        return [data[i], data[i + 1], data[i + 2]];
+    };
+    const mean = samples => {
+        const sum = [0, 0, 0];
+        for (const rgb of samples) {
+            sum[0] += rgb[0];
+            sum[1] += rgb[1];
+            sum[2] += rgb[2];
+        }
+        return toHexColor(sum.map(v => v / samples.length));
+    };
+    if (mode === 'average') return { color: mean(points.map(colorAt)) };
+
+    const along = [0];
+    for (let i = 1; i < points.length; i++) {
+        along.push(along[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+    }
+    const total = along[along.length - 1];
+    const pieces = [];
+    for (let first = 0; first < points.length - 1;) {
+        let last = first + 1;
+        while (last < points.length - 1 && along[last] - along[first] < PATH_COLOR_PIECE) last++;
+        const color = mean(points.slice(first, last + 1).map(colorAt));
+        const previous = pieces[pieces.length - 1];
+        // Neighbouring pieces of one colour are drawn as one
+        if (previous && previous.color === color) {
+            previous.path.push(...points.slice(first + 1, last + 1));
+            previous.span.end = along[last];
+        } else {
+            pieces.push({ path: points.slice(first, last + 1), color, span: { start: along[first], end: along[last], total } });
+        }
+        first = last;
+    }
+    if (pieces.length <= 1) return { color: pieces.length === 1 ? pieces[0].color : mean(points.map(colorAt)) };
+    return { pieces, length: total };
+}
+
+// The paint of a path trimmed to its first `fraction` by length (see trimPath): a pieced paint
+// keeps the pieces that far along, the last one trimmed
+function trimPathPaint(paint, fraction) {
+    if (!paint || !paint.pieces || fraction >= 1) return paint;
+    const cut = paint.length * Math.max(0, fraction);
+    const pieces = [];
+    for (const piece of paint.pieces) {
+        const { start, end } = piece.span;
+        if (start >= cut) break;
+        pieces.push(end <= cut ? piece : {
+            path: trimPath(piece.path, (cut - start) / (end - start)),
+            color: piece.color,
+            span: { ...piece.span, end: cut }
+        });
+    }
+    return pieces.length > 0 ? { pieces, length: paint.length } : { color: paint.pieces[0].color };
+}
+
+// ============================================
+// PRINT SIZE & TILED PROCESSING
+// ============================================
+// printWidth (mm) and printDpi set the processing resolution: the image is resampled to
+// printWidth / 25.4 * printDpi pixels across (after any preprocessing geometry) and the SVG is
+// sized in millimetres. Masks drawn at the image's own size (seeds, regions) are resampled with it.
+//
+// Tiled runs (options.tiled) never hold a full-frame field. The image is read tile by tile, each
+// tile is solved with a TILE_HALO-pixel border taken from its neighbours' edges and solved again
+// whenever those edges improve, until nothing changes. Only the tile edges are kept; a last pass
+// solves each tile once more and contours it straight away. Tiles are solved with
+// createWeightedEikonalSolver (the one speed modes use) at evenly spaced levels, so with the
+// default solver the lines come out somewhat closer together than in a whole-image run.
+const TILE_HALO = 2;
+
+// Physical output size for options, or null when printWidth is unset
+function resolvePrintSize(options, imageWidth, imageHeight) {
+    const widthMM = Number(options.printWidth);
+    if (!(widthMM > 0)) return null;
+    const dpi = Number(options.printDpi) > 0 ? Number(options.printDpi) : defaultOptions.printDpi;
+    const width = Math.max(2, Math.round(widthMM / 25.4 * dpi));
+    const height = Math.max(2, Math.round(width * imageHeight / imageWidth));
+    return {
+        width,
+        height,
+        dpi,
+        widthMM,
+        heightMM: widthMM * imageHeight / imageWidth,
+        mmPerPixel: 25.4 / dpi
+    };
+}
+
+// Reads blocks of an image at a processing size of width x height, resampling bilinearly when
+// that differs from the image. With a geometry from resolveImageGeometry the blocks come from its
+// working image instead. read(x, y, w, h) returns an ImageData-like block.
+function createImageTileReader(imageData, width = imageData.width, height = imageData.height, geometry = null) {
+    const { data } = imageData;
+    // Processing pixel -> working image -> image
+    const [a, b, c, d, e, f] = geometry ? geometry.matrix : [1, 0, 0, 1, 0, 0];
+    const scaleX = (geometry ? geometry.width : imageData.width) / width;
+    const scaleY = (geometry ? geometry.height : imageData.height) / height;
+    const same = !geometry && scaleX === 1 && scaleY === 1;
+
+    return {
+        width,
+        height,
+        imageWidth: imageData.width,
+        imageHeight: imageData.height,
+        geometry,
+        read(x0, y0, w, h) {
+            const block = new Uint8ClampedArray(w * h * 4);
+            for (let y = 0; y < h; y++) {
+                if (same) {
+                    const start = ((y0 + y) * width + x0) * 4;
+                    block.set(data.subarray(start, start + w * 4), y * w * 4);
+                    continue;
+                }
+                const py = (y0 + y + 0.5) * scaleY;
+                for (let x = 0; x < w; x++) {
+                    const px = (x0 + x + 0.5) * scaleX;
+                    const sx = Math.min(imageData.width - 1, Math.max(0, a * px + c * py + e - 0.5));
+                    const sy = Math.min(imageData.height - 1, Math.max(0, b * px + d * py + f - 0.5));
+                    const xa = Math.floor(sx), xb = Math.min(imageData.width - 1, xa + 1), fx = sx - xa;
+                    const ya = Math.floor(sy), yb = Math.min(imageData.height - 1, ya + 1), fy = sy - ya;
+                    const p00 = (ya * imageData.width + xa) * 4, p01 = (ya * imageData.width + xb) * 4;
+                    const p10 = (yb * imageData.width + xa) * 4, p11 = (yb * imageData.width + xb) * 4;
+                    for (let k = 0; k < 4; k++) {
+                        const upper = data[p00 + k] + (data[p01 + k] - data[p00 + k]) * fx;
+                        const lower = data[p10 + k] + (data[p11 + k] - data[p10 + k]) * fx;
+                        block[(y * w + x) * 4 + k] = upper + (lower - upper) * fy;
+                    }
+                }
+            }
+            return { width: w, height: h, data: block };
+        }
+    };
+}
+
+// Perf/status label, e.g. "420 x 594 mm at 300 dpi"
+function describePrintSize(print) {
+    return `${+print.widthMM.toFixed(1)} x ${+print.heightMM.toFixed(1)} mm at ${print.dpi} dpi`;
+}
+
+// Nearest-neighbour block of a mask drawn at maskWidth x maskHeight, seen at a processing size
+// of width x height (the whole mask by default). Masks are drawn over the loaded image, so with a
+// geometry from resolveImageGeometry the block is mapped back through it.
+function sampleMask(mask, maskWidth, maskHeight, width, height, x0 = 0, y0 = 0, w = width, h = height, geometry = null) {
+    const [a, b, c, d, e, f] = geometry ? geometry.matrix : [1, 0, 0, 1, 0, 0];
+    const scaleX = (geometry ? geometry.width : maskWidth) / width;
+    const scaleY = (geometry ? geometry.height : maskHeight) / height;
+    const maskScaleX = geometry ? maskWidth / geometry.imageWidth : 1;
+    const maskScaleY = geometry ? maskHeight / geometry.imageHeight : 1;
+    const block = new Uint8Array(w * h);
+    for (let y = 0; y < h; y++) {
+        const py = (y0 + y + 0.5) * scaleY;
+        for (let x = 0; x < w; x++) {
+            const px = (x0 + x + 0.5) * scaleX;
+            const sx = Math.min(maskWidth - 1, Math.max(0, Math.floor((a * px + c * py + e) * maskScaleX)));
+            const sy = Math.min(maskHeight - 1, Math.max(0, Math.floor((b * px + d * py + f) * maskScaleY)));
+            block[y * w + x] = mask[sy * maskWidth + sx];
+        }
+    }
+    return block;
+}
+
+// Tile grid with the solved values along each tile's edges (TILE_HALO pixels deep), which is all
+// a neighbouring tile needs for its border
+function createTileEdges(width, height, tileSize) {
+    const columns = Math.ceil(width / tileSize);
+    const rows = Math.ceil(height / tileSize);
+    const tiles = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const x = column * tileSize, y = row * tileSize;
+            const w = Math.min(tileSize, width - x), h = Math.min(tileSize, height - y);
+            const band = (n) => new Float32Array(n).fill(Infinity);
+            tiles.push({
+                index: tiles.length, column, row, x, y, w, h,
+                top: band(w * TILE_HALO), bottom: band(w * TILE_HALO),
+                left: band(h * TILE_HALO), right: band(h * TILE_HALO),
+                min: Infinity, max: -Infinity
+            });
+        }
+    }
+
+    const tileAt = (column, row) => (column >= 0 && column < columns && row >= 0 && row < rows ? tiles[row * columns + column] : null);
+
+    // Stored value at (x, y), which must lie within TILE_HALO of its tile's edge
+    const value = (x, y) => {
+        const tile = tiles[Math.floor(y / tileSize) * columns + Math.floor(x / tileSize)];
+        const lx = x - tile.x, ly = y - tile.y;
+        if (ly < TILE_HALO) return tile.top[ly * tile.w + lx];
+        if (ly >= tile.h - TILE_HALO) return tile.bottom[(ly - (tile.h - TILE_HALO)) * tile.w + lx];
+        if (lx < TILE_HALO) return tile.left[ly * TILE_HALO + lx];
+        return tile.right[ly * TILE_HALO + lx - (tile.w - TILE_HALO)];
+    };
+
+    // A tile with its halo, clamped to the image
+    const expand = (tile) => {
+        const x = Math.max(0, tile.x - TILE_HALO), y = Math.max(0, tile.y - TILE_HALO);
+        return {
+            x, y,
+            w: Math.min(width, tile.x + tile.w + TILE_HALO) - x,
+            h: Math.min(height, tile.y + tile.h + TILE_HALO) - y
+        };
+    };
+
+    // Stores a tile's solution (over its expanded rect) and returns the neighbours whose halo
+    // changed by more than tolerance
+    const store = (tile, solution, rect, tolerance) => {
+        const changed = new Set();
+        const put = (bandName, i, x, y, sides) => {
+            const next = solution[(y - rect.y) * rect.w + (x - rect.x)];
+            const previous = tile[bandName][i];
+            tile[bandName][i] = next;
+            if (!(Math.abs(next - previous) <= tolerance) && !(next === Infinity && previous === Infinity)) {
+                for (const [dc, dr] of sides) {
+                    const neighbor = tileAt(tile.column + dc, tile.row + dr);
+                    if (neighbor) changed.add(neighbor);
+                }
+            }
+        };
+
+        for (let ly = 0; ly < TILE_HALO; ly++) {
+            for (let lx = 0; lx < tile.w; lx++) {
+                put('top', ly * tile.w + lx, tile.x + lx, tile.y + Math.min(ly, tile.h - 1), [[-1, -1], [0, -1], [1, -1]]);
+                put('bottom', ly * tile.w + lx, tile.x + lx, tile.y + Math.max(0, tile.h - TILE_HALO + ly), [[-1, 1], [0, 1], [1, 1]]);
+            }
+        }
+        for (let ly = 0; ly < tile.h; ly++) {
+            for (let lx = 0; lx < TILE_HALO; lx++) {
+                put('left', ly * TILE_HALO + lx, tile.x + Math.min(lx, tile.w - 1), tile.y + ly, [[-1, -1], [-1, 0], [-1, 1]]);
+                put('right', ly * TILE_HALO + lx, tile.x + Math.max(0, tile.w - TILE_HALO + lx), tile.y + ly, [[1, -1], [1, 0], [1, 1]]);
+            }
+        }
+
+        tile.min = Infinity;
+        tile.max = -Infinity;
+        for (let y = tile.y; y < tile.y + tile.h; y++) {
+            for (let x = tile.x; x < tile.x + tile.w; x++) {
+                const v = solution[(y - rect.y) * rect.w + (x - rect.x)];
+                if (v < tile.min) tile.min = v;
+                if (v > tile.max && v < Infinity) tile.max = v;
+            }
+        }
+        return changed;
+    };
+
+    return { tiles, columns, rows, value, expand, store };
+}
+
+// Marching squares over the cells whose top-left corner lies in [x0, x1) x [y0, y1), for the
+// evenly spaced levels base + k * interval (k >= 1) below top. Each cell only visits the levels
+// between its corner values. field(x, y) reads the distance field (Infinity outside the image);
+// segments are added to byLevel, a Map from k to { x1, y1, x2, y2 } lists.
+function contourCellsByLevel(field, base, interval, top, x0, y0, x1, y1, byLevel) {
+    const interp = (v1, v2, level) => {
+        if (v1 === Infinity || v2 === Infinity) return 0.5;
+        const diff = v2 - v1;
+        if (Math.abs(diff) < 0.00001) return 0.5;
+        return Math.max(0, Math.min(1, (level - v1) / diff));
+    };
+    const lastLevel = Math.ceil((top - base) / interval) - 1;
+
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            const v00 = field(x, y);
+            const v10 = field(x + 1, y);
+            const v01 = field(x, y + 1);
+            const v11 = field(x + 1, y + 1);
+            const lo = Math.min(v00, v10, v01, v11);
+            if (lo === Infinity) continue;
+            const hi = Math.max(v00, v10, v01, v11);
+
+            const first = Math.max(1, Math.floor((lo - base) / interval) + 1);
+            const last = Math.min(lastLevel, Math.floor((hi - base) / interval));
+            for (let k = first; k <= last; k++) {
+                const level = base + k * interval;
+                let code = 0;
+                if (v00 >= level) code |= 1;
+                if (v10 >= level) code |= 2;
+                if (v01 >= level) code |= 4;
+                if (v11 >= level) code |= 8;
+                if (code === 0 || code === 15) continue;
+
+                if (!byLevel.has(k)) byLevel.set(k, []);
+                const lines = byLevel.get(k);
+                const addLine = (ax, ay, bx, by) => lines.push({ x1: x + ax, y1: y + ay, x2: x + bx, y2: y + by });
+
+                switch (code) {
+                    case 1:
+                    case 14:
+                        addLine(0, interp(v00, v10, level), 0.5, 0); break;
+                    case 2:
+                    case 13:
+                        addLine(0.5, 0, 1, interp(v10, v11, level)); break;
+                    case 3:
+                    case 12:
+                        addLine(0, interp(v00, v10, level), 1, interp(v01, v11, level)); break;
+                    case 4:
+                    case 11:
+                        addLine(0.5, 1, interp(v01, v11, level), 1); break;
+                    case 5:
+                        addLine(0, interp(v00, v10, level), 0.5, 1);
+                        addLine(0.5, 0, interp(v01, v11, level), 1); break;
+                    case 6:
+                    case 9:
+                        addLine(0.5, 0, 0.5, 1); break;
+                    case 7:
+                    case 8:
+                        addLine(0, interp(v00, v10, level), 0.5, 1);
+                        addLine(0.5, 0, 1, interp(v10, v11, level)); break;
+                    case 10:
+                        addLine(0, interp(v00, v10, level), 1, interp(v01, v11, level));
+                        addLine(0.5, 0, 0.5, 1); break;
+                }
+            }
+        }
+    }
+}
+
+// ============================================
+// PARALLEL BANDS
+// ============================================
+// Worker extraction splits the image into horizontal bands, one pool task per band, so every
+// worker takes part. A task reads only its rows of the field (plus the margin its neighbourhood
+// reads need) from the fields the pool has cached in the worker, and returns its geometry in
+// typed arrays that are transferred, not copied. The
+// main thread merges the bands in row order, so contours and hatching come out as a whole-image
+// pass would make them. Streamlines are not banded: each line stops where earlier ones run, so
+// grid streamlines (traceGridStreamlines) are one task over the whole image, traced the same way
+// on the main thread, in a worker and on the command line.
+
+const STREAMLINE_STEP = 2;
+const STREAMLINE_MAX_POINTS = 500; // Per direction from the seed
+const STREAMLINE_MIN_LENGTH = 10;
+
+// Default hatch passes, darkest last: angle (degrees), line spacing (times the interval), the
+// gray level (relative to the threshold) below which the pass draws, and softness, how far that
+// level is staggered from line to line
+const HATCH_LAYERS = [
+    { angle: -45, spacing: 1, offset: 0.2, softness: 0 },
+    { angle: 45, spacing: 1, offset: 0, softness: 0 },
+    { angle: 0, spacing: 1, offset: -0.2, softness: 0 },
+    { angle: 90, spacing: 1, offset: -0.3, softness: 0 }
+];
+
+// Splits rows [0, rows) into at most `count` bands of at least minRows rows each
+function splitRows(rows, count, minRows = 1) {
+    const n = Math.max(1, Math.min(count, Math.floor(rows / minRows)));
+    const bands = [];
+    for (let i = 0; i < n; i++) {
+        bands.push({ start: Math.round(i * rows / n), end: Math.round((i + 1) * rows / n) });
+    }
+    return bands;
+}
+
+// Smallest and largest finite value of a distance field
+function fieldRange(solution) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < solution.length; i++) {
+        const v = solution[i];
+        if (v === Infinity) continue;
+        if (v < min) min = v;
+        if (v > max) max = v;
+    }
+    return { min, max };
+}
+
+// Evenly spaced levels from min + interval up to (not including) max
+function contourLevels(min, max, interval) {
+    const levels = [];
+    if (!(max > min)) return levels;
+    for (let level = min + interval; level < max; level += interval) {
+        levels.push(level);
+    }
+    return levels;
+}
+
+// { x1, y1, x2, y2 } segments <-> Float32Array of 4 values per segment
+function packSegments(lines) {
+    const packed = new Float32Array(lines.length * 4);
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        packed[i * 4] = line.x1;
+        packed[i * 4 + 1] = line.y1;
+        packed[i * 4 + 2] = line.x2;
+        packed[i * 4 + 3] = line.y2;
+    }
+    return packed;
+}
+
+function unpackSegments(packed, lines = []) {
+    for (let i = 0; i < packed.length; i += 4) {
+        lines.push({ x1: packed[i], y1: packed[i + 1], x2: packed[i + 2], y2: packed[i + 3] });
+    }
+    return lines;
+}
+
+// Coarse grid of the cells already crossed by streamlines, each marked with its line (a number
+// from 1); separation is the spacing paths keep. A line is only stopped by the cells of others,
+// as its own next step usually lands in the cell it is in.
+function createOccupancyGrid(width, height, separation) {
+    const cellSize = Math.max(4, Math.floor(separation));
+    const columns = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+    const cells = new Int32Array(columns * rows);
+    const cellOf = (x, y) => {
+        const gx = Math.floor(x / cellSize);
+        const gy = Math.floor(y / cellSize);
+        return gx < 0 || gx >= columns || gy < 0 || gy >= rows ? -1 : gy * columns + gx;
+    };
+    return {
+        isOccupied(x, y, line = 0) {
+            const cell = cellOf(x, y);
+            return cell === -1 || (cells[cell] !== 0 && cells[cell] !== line);
+        },
+        mark(x, y, line) {
+            const cell = cellOf(x, y);
+            if (cell !== -1) cells[cell] = line;
+        }
+    };
+}
+
+// Jittered grid of streamline seeds over the dark parts of the image, in a seeded random order
+function streamlineSeeds(grayData, width, height, interval, threshold, seed) {
+    const random = createRandom(seed);
+    const seeds = [];
+    for (let y = interval; y < height - interval; y += interval) {
+        for (let x = interval; x < width - interval; x += interval) {
+            if (grayData[Math.floor(y) * width + Math.floor(x)] < threshold) {
+                seeds.push({
+                    x: x + (random() - 0.5) * interval * 0.5,
+                    y: y + (random() - 0.5) * interval * 0.5
+                });
+            }
+        }
+    }
+    for (let i = seeds.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [seeds[i], seeds[j]] = [seeds[j], seeds[i]];
+    }
+    return seeds;
+}
+
+// Central-difference gradient of a distance field, zero on the image border and where the field
+// is unreached
+function distanceFieldGradient(solution, width, height) {
+    const gradX = new Float32Array(width * height);
+    const gradY = new Float32Array(width * height);
+    const gradMag = new Float32Array(width * height);
+
+    for (let y = 1; y < height - 1; y++) {
+        const rowOffset = y * width;
+        const upOffset = (y - 1) * width;
+        const downOffset = (y + 1) * width;
+
+        for (let x = 1; x < width - 1; x++) {
+            const idx = rowOffset + x;
+            const val = solution[idx];
+
+            if (val >= Infinity) {
+                gradX[idx] = gradY[idx] = gradMag[idx] = 0;
+                continue;
+            }
+
+            const gx = (solution[rowOffset + (x + 1)] - solution[rowOffset + (x - 1)]) / 2;
+            const gy = (solution[downOffset + x] - solution[upOffset + x]) / 2;
+
+            gradX[idx] = gx;
+            gradY[idx] = gy;
+            gradMag[idx] = Math.sqrt(gx * gx + gy * gy);
+        }
+    }
+
+    return { gradX, gradY, gradMag };
+}
+
+// Traces streamline number `line` both ways from seed along the gradient in midpoint (RK2)
+// steps, until it leaves the image, the field flattens out or it reaches a grid cell crossed by
+// another line
+function traceGridStreamline(seed, { gradX, gradY }, width, height, grid, line) {
+    const gradientAt = (x, y) => {
+        const gx = Math.floor(x);
+        const gy = Math.floor(y);
+        if (gx < 1 || gx >= width - 1 || gy < 1 || gy >= height - 1) return null;
+        const i = gy * width + gx;
+        const mag = Math.sqrt(gradX[i] * gradX[i] + gradY[i] * gradY[i]);
+        return mag < 0.001 ? null : { x: gradX[i] / mag, y: gradY[i] / mag };
+    };
+
+    const path = [seed];
+    grid.mark(seed.x, seed.y, line);
+    for (const direction of [1, -1]) {
+        let { x, y } = seed;
+        for (let step = 0; step < STREAMLINE_MAX_POINTS; step++) {
+            const d1 = gradientAt(x, y);
+            if (!d1) break;
+            const half = STREAMLINE_STEP * 0.5 * direction;
+            const d2 = gradientAt(x + d1.x * half, y + d1.y * half);
+            if (!d2) break;
+            const nx = x + d2.x * STREAMLINE_STEP * direction;
+            const ny = y + d2.y * STREAMLINE_STEP * direction;
+            if (grid.isOccupied(nx, ny, line)) break;
+
+            if (direction === 1) {
+                path.push({ x: nx, y: ny });
+            } else {
+                path.unshift({ x: nx, y: ny });
+            }
+            grid.mark(nx, ny, line);
+            x = nx;
+            y = ny;
+        }
+    }
+    return path;
+}
+
+// Grid streamlines (streamlineAlgorithm 'grid'): the seeds of streamlineSeeds, traced in their
+// order against one occupancy grid, so a line stops where an earlier one runs. gradient is from
+// distanceFieldGradient. The result depends on the inputs only, not on where it runs; callers
+// smooth it with postProcessPaths. `checkpoint` and `onProgress` are as for traceEvenStreamlines.
+async function traceGridStreamlines(gradient, grayData, width, height, { interval = 8, threshold = 0.5, seed = null, checkpoint = null, onProgress = null } = {}) {
+    const seeds = streamlineSeeds(grayData, width, height, interval, threshold, seed);
+    const grid = createOccupancyGrid(width, height, interval * 0.8);
+    const paths = [];
+    for (let i = 0; i < seeds.length; i++) {
+        if (i % 500 === 0) {
+            if (onProgress) onProgress(i / seeds.length, `Tracing streamlines (${i}/${seeds.length})...`);
+            if (checkpoint) await checkpoint();
+        }
+        if (grid.isOccupied(seeds[i].x, seeds[i].y)) continue;
+        const path = traceGridStreamline(seeds[i], gradient, width, height, grid, i + 1);
+        if (path.length * STREAMLINE_STEP >= STREAMLINE_MIN_LENGTH) paths.push(path);
+    }
+    return paths;
+}
+
+// Hatch runs crossing rows [rowStart, rowEnd) of the image; grayData holds those rows only.
+// Each hatch line is sampled every 2px along its length; a run is a stretch of consecutive
+// samples darker than the pass threshold, stored as 8 ints: pass, line, first and last sample
+// index, first and last sample position. Runs split by band edges are rejoined by mergeHatchRuns.
+// rotation (degrees) turns every pass and shift moves the lines by that fraction of the interval.
+function hatchRuns(grayData, width, height, rowStart, rowEnd, interval, threshold, rotation = 0, shift = 0, layers = HATCH_LAYERS) {
+    const runs = [];
+    const maxLength = Math.sqrt(width * width + height * height);
+    const sampleCount = Math.ceil(maxLength);
+
+    layers.forEach((layer, pass) => {
+        const spacing = interval * layer.spacing;
+        const lineCount = Math.ceil(2 * maxLength / spacing);
+        const angle = layer.angle * Math.PI / 180 + rotation * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const nx = Math.cos(angle + Math.PI / 2);
+        const ny = Math.sin(angle + Math.PI / 2);
+
+        for (let line = 0; line < lineCount; line++) {
+            const passThreshold = hatchLineThreshold(layer, threshold, line);
+            const d = -maxLength + (line + shift) * spacing;
+            const px = width / 2 + d * nx;
+            const py = height / 2 + d * ny;
+
+            // Samples whose row can fall inside the band (one extra each side for rounding)
+            let first = 0;
+            let last = sampleCount - 1;
+            if (Math.abs(sin) > 1e-12) {
+                const t0 = (rowStart - py) / sin;
+                const t1 = (rowEnd - py) / sin;
+                first = Math.max(first, Math.floor((Math.min(t0, t1) + maxLength) / 2) - 1);
+                last = Math.min(last, Math.ceil((Math.max(t0, t1) + maxLength) / 2) + 1);
+            } else if (Math.floor(py) < rowStart || Math.floor(py) >= rowEnd) {
+                continue;
+            }
+
+            let run = null;
+            for (let k = first; k <= last; k++) {
+                const t = -maxLength + k * 2;
+                const x = Math.floor(px + t * cos);
+                const y = Math.floor(py + t * sin);
+                if (y < rowStart || y >= rowEnd) continue;
+                if (x >= 0 && x < width && grayData[(y - rowStart) * width + x] < passThreshold) {
+                    if (run) {
+                        run[3] = k;
+                        run[6] = x;
+                        run[7] = y;
+                    } else {
+                        run = [pass, line, k, k, x, y, x, y];
+                    }
+                } else if (run) {
+                    runs.push(...run);
+                    run = null;
+                }
+            }
+            if (run) runs.push(...run);
+        }
+    });
+
+    return Int32Array.from(runs);
+}
+
+// Joins hatchRuns from all bands into hatch lines (two-point paths with .layer set to the pass),
+// keeping runs of more than 5 samples, in pass, line and position order
+function mergeHatchRuns(bandRuns) {
+    const runs = [];
+    for (const packed of bandRuns) {
+        for (let i = 0; i < packed.length; i += 8) {
+            runs.push(packed.subarray(i, i + 8));
+        }
+    }
+    runs.sort((a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2]);
+
+    const lines = [];
+    const flush = (run) => {
+        if (run && run[3] - run[2] + 1 > 5) {
+            const line = [{ x: run[4], y: run[5] }, { x: run[6], y: run[7] }];
+            line.layer = run[0];
+            lines.push(line);
+        }
+    };
+    let current = null;
+    for (const run of runs) {
+        if (current && current[0] === run[0] && current[1] === run[1] && run[2] === current[3] + 1) {
+            current[3] = run[3];
+            current[6] = run[6];
+            current[7] = run[7];
+        } else {
+            flush(current);
+            current = Array.from(run);
+        }
+    }
+    flush(current);
+    return lines;
+}
+
+// Gray level below which one line of a hatch pass draws. Softness staggers it from line to line
+// (by the golden ratio, so neighbouring lines differ), so in mid tones some lines of the pass
+// run on and others stop short, and the tone builds up line by line rather than at one level.
+function hatchLineThreshold(layer, threshold, line) {
+    const stagger = layer.softness ? layer.softness * (((line * 0.6180339887498949) % 1) - 0.5) : 0;
+    return Math.max(0.1, threshold + layer.offset + stagger);
+}
+
+function hatchLayerNames(layers = HATCH_LAYERS, rotation = 0) {
+    return layers.map(({ angle }) => `Hatch ${Math.round(angle + rotation)}°`);
+}
+
+// ============================================
+// EVENLY-SPACED STREAMLINES
+// ============================================
+// Jobard–Lefer placement for streamlineAlgorithm 'even'. Every line keeps the separation
+// distance from the lines already placed, and a line being traced runs on until it comes within
+// the test distance (streamlineTestRatio of the separation) of one, so lines end where they meet
+// their neighbours rather than at the first occupied cell. New seeds are tried a separation away
+// on either side of each finished line, so lines fill an area side by side; a jittered grid over
+// the image starts the filling wherever no line has reached yet. Lines cover the area the waves
+// travelled, as the field has no direction inside the seed regions. The separation follows the
+// tone: the interval in the darkest parts, up to 1 + EVEN_STREAMLINE_TONE_RANGE times it in white
+// with streamlineToneSpacing 1. The whole image is one task, as each line depends on the last.
+
+const EVEN_STREAMLINE_TONE_RANGE = 3;
+const EVEN_STREAMLINE_SEED_STEP = 2; // Seeds are tried beside every this many points of a line
+
+// Tapered streamline ends (options.streamlineTaper) thin out over this many intervals
+const STREAMLINE_TAPER = 2;
+
+// Spacing settings of the even algorithm from generation options
+function evenStreamlineSettings(options) {
+    return {
+        interval: options.interval ?? defaultOptions.interval,
+        toneSpacing: options.streamlineToneSpacing ?? defaultOptions.streamlineToneSpacing,
+        testRatio: options.streamlineTestRatio ?? defaultOptions.streamlineTestRatio
+    };
+}
+
+// Points of the lines placed so far, bucketed in square cells, for distance queries
+function createStreamlineGrid(width, height, cellSize) {
+    const columns = Math.max(1, Math.ceil(width / cellSize));
+    const rows = Math.max(1, Math.ceil(height / cellSize));
+    const cells = Array.from({ length: columns * rows }, () => []);
+    const column = x => Math.min(columns - 1, Math.max(0, Math.floor(x / cellSize)));
+    const row = y => Math.min(rows - 1, Math.max(0, Math.floor(y / cellSize)));
+    return {
+        add(p) {
+            cells[row(p.y) * columns + column(p.x)].push(p);
+        },
+        // Whether a placed point lies closer than distance to (x, y)
+        isNear(x, y, distance) {
+            const d2 = distance * distance;
+            for (let gy = row(y - distance); gy <= row(y + distance); gy++) {
+                for (let gx = column(x - distance); gx <= column(x + distance); gx++) {
+                    for (const p of cells[gy * columns + gx]) {
+                        const dx = p.x - x;
+                        const dy = p.y - y;
+                        if (dx * dx + dy * dy < d2) return true;
+                    }
+                }
+            }
+            return false;
+        }
+    };
+}
+
+// Unit gradient of the field at (x, y), or null off the image and where it is flat or undefined
+function fieldDirection(field, width, height, x, y) {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    if (ix < 1 || ix >= width - 1 || iy < 1 || iy >= height - 1) return null;
+    const idx = iy * width + ix;
+    const gx = field[idx + 1] - field[idx];
+    const gy = field[idx + width] - field[idx];
+    const mag = Math.sqrt(gx * gx + gy * gy);
+    if (!(mag >= 0.001 && mag < Infinity)) return null;
+    return { x: gx / mag, y: gy / mag };
+}
+
+// Traces a line both ways from seed in midpoint (RK2) steps, until directionAt(x, y) gives null
+// (off the image, where the field flattens out) or it comes closer than testDistanceAt(x, y) to
+// a placed line
+function traceEvenStreamline(seed, directionAt, grid, testDistanceAt) {
+    const ends = [[], []];
+    [1, -1].forEach((direction, end) => {
+        let { x, y } = seed;
+        for (let step = 0; step < STREAMLINE_MAX_POINTS; step++) {
+            const d1 = directionAt(x, y);
+            if (!d1) break;
+            const half = STREAMLINE_STEP * 0.5 * direction;
+            const d2 = directionAt(x + d1.x * half, y + d1.y * half);
+            if (!d2) break;
+            const nx = x + d2.x * STREAMLINE_STEP * direction;
+            const ny = y + d2.y * STREAMLINE_STEP * direction;
+            if (grid.isNear(nx, ny, testDistanceAt(nx, ny))) break;
+            ends[end].push({ x: nx, y: ny });
+            x = nx;
+            y = ny;
+        }
+    });
+    return [...ends[1].reverse(), seed, ...ends[0]];
+}
+
+// Evenly spaced lines along directionAt(x, y, line), which gives the unit direction of the line
+// with index `line` at a point, or null where it stops (fieldDirection for streamlines); grayData
+// is the tone the separation follows. `checkpoint` is awaited every few lines and should throw
+// to cancel; `onProgress(fraction, message)` is optional.
+async function traceEvenStreamlines(directionAt, grayData, width, height, { interval = 8, toneSpacing = 0.5, testRatio = 0.5, seed = null, checkpoint = null, onProgress = null } = {}) {
+    const toneAt = (x, y) => grayData[Math.min(height - 1, Math.max(0, Math.floor(y))) * width + Math.min(width - 1, Math.max(0, Math.floor(x)))];
+    const separationAt = (x, y) => interval * (1 + EVEN_STREAMLINE_TONE_RANGE * toneSpacing * toneAt(x, y));
+    const testDistanceAt = (x, y) => separationAt(x, y) * testRatio;
+    const grid = createStreamlineGrid(width, height, interval);
+    const paths = [];
+    const queue = [];
+
+    // A seed needs a full separation to every placed line; a line too short is dropped
+    const placeLine = (p) => {
+        if (p.x < 1 || p.x >= width - 1 || p.y < 1 || p.y >= height - 1) return;
+        if (grid.isNear(p.x, p.y, separationAt(p.x, p.y))) return;
+        const line = paths.length;
+        const path = traceEvenStreamline(p, (x, y) => directionAt(x, y, line), grid, testDistanceAt);
+        if ((path.length - 1) * STREAMLINE_STEP < STREAMLINE_MIN_LENGTH) return;
+        for (const point of path) grid.add(point);
+        paths.push(path);
+        queue.push(path);
+    };
+
+    const starts = streamlineSeeds(grayData, width, height, interval, Infinity, seed);
+    let traced = 0;
+    for (let i = 0; i < starts.length; i++) {
+        placeLine(starts[i]);
+        while (queue.length > 0) {
+            const path = queue.shift();
+            for (let k = 0; k < path.length; k += EVEN_STREAMLINE_SEED_STEP) {
+                const a = path[Math.max(0, k - 1)];
+                const b = path[Math.min(path.length - 1, k + 1)];
+                const length = Math.hypot(b.x - a.x, b.y - a.y);
+                if (length < 1e-9) continue;
+                const nx = -(b.y - a.y) / length;
+                const ny = (b.x - a.x) / length;
+                const p = path[k];
+                for (const side of [1, -1]) {
+                    // Step out by the separation where the seed lands, so lines spread apart into lighter tones
+                    const near = separationAt(p.x, p.y);
+                    const distance = Math.max(near, separationAt(p.x + nx * near * side, p.y + ny * near * side));
+                    placeLine({ x: p.x + nx * distance * side, y: p.y + ny * distance * side });
+                }
+            }
+            if (++traced % 50 === 0 && checkpoint) await checkpoint();
+        }
+        if (i % 500 === 0) {
+            if (checkpoint) await checkpoint();
+            if (onProgress) onProgress(i / starts.length, `Tracing streamlines (${paths.length} lines)...`);
+        }
+    }
+    return paths;
+}
+
+// ============================================
+// HATCHING
+// ============================================
+// Hatch mode draws passes of lines, each over the parts of the image darker than its own level:
+// options.hatchLayers lists them ({ angle, spacing, offset, softness } as in HATCH_LAYERS, the
+// default). hatchStyle 'straight' rules parallel lines; 'contour' bends them along the distance
+// field's isolines and 'gradient' runs them across, down its slope, placed the Jobard–Lefer way
+// (see EVENLY-SPACED STREAMLINES) with the pass angle turning the direction. hatchEngraving varies
+// the lines with tone as an engraver would: 'width' swells them in the dark areas and 'spacing'
+// packs them closer there. Straight hatching without spacing engraving is split into worker bands
+// (hatchRuns); the rest is traced line by line over the whole image on the main thread.
+
+const HATCH_STYLES = ['straight', 'contour', 'gradient'];
+const HATCH_ENGRAVINGS = ['none', 'width', 'spacing'];
+const HATCH_LAYER_DEFAULTS = { angle: 0, spacing: 1, offset: 0, softness: 0 };
+const HATCH_MAX_LAYERS = 6;
+const HATCH_MIN_SPACING = 0.25;
+const HATCH_TEST_RATIO = 0.5; // Traced hatch lines end half a spacing from their neighbours
+const HATCH_ENGRAVING_STEP = 4; // Width-engraved lines get a point this often (px) to follow the tone
+
+// Hatch passes of options.hatchLayers, missing fields taking the defaults of a single pass
+function resolveHatchLayers(options) {
+    const layers = options.hatchLayers;
+    if (layers === null || layers === undefined) return HATCH_LAYERS;
+    if (!Array.isArray(layers) || layers.length < 1 || layers.length > HATCH_MAX_LAYERS) {
+        throw new Error(`Hatch layers must be a list of 1 to ${HATCH_MAX_LAYERS} passes`);
+    }
+    return layers.map((layer, i) => {
+        const resolved = { ...HATCH_LAYER_DEFAULTS };
+        for (const key of Object.keys(resolved)) {
+            if (layer[key] === undefined) continue;
+            const value = Number(layer[key]);
+            if (!Number.isFinite(value)) throw new Error(`Hatch layer ${i + 1}: ${key} "${layer[key]}" is not a number`);
+            resolved[key] = value;
+        }
+        if (resolved.spacing < HATCH_MIN_SPACING) {
+            throw new Error(`Hatch layer ${i + 1}: spacing must be at least ${HATCH_MIN_SPACING}`);
+        }
+        return resolved;
+    });
+}
+
+// Validated hatchStyle and hatchEngraving of options
+function resolveHatchStyle(options) {
+    const style = options.hatchStyle || 'straight';
+    const engraving = options.hatchEngraving || 'none';
+    if (!HATCH_STYLES.includes(style)) {
+        throw new Error(`Unknown hatch style "${style}". Available: ${HATCH_STYLES.join(', ')}`);
+    }
+    if (!HATCH_ENGRAVINGS.includes(engraving)) {
+        throw new Error(`Unknown hatch engraving "${engraving}". Available: ${HATCH_ENGRAVINGS.join(', ')}`);
+    }
+    return { style, engraving };
+}
+
+// Whether the hatch lines of options can be ruled in parallel worker bands
+function hatchesInBands(options) {
+    const { style, engraving } = resolveHatchStyle(options);
+    return style === 'straight' && engraving !== 'spacing';
+}
+
+// Copy of a path with points added so consecutive points lie at most step apart
+function densifyPath(path, step) {
+    const dense = [path[0]];
+    for (let i = 1; i < path.length; i++) {
+        const a = path[i - 1];
+        const b = path[i];
+        const n = Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / step);
+        for (let k = 1; k < n; k++) {
+            dense.push({ x: a.x + (b.x - a.x) * k / n, y: a.y + (b.y - a.y) * k / n });
+        }
+        dense.push(b);
+    }
+    dense.layer = path.layer;
+    return dense;
+}
+
+// Width-engraved hatch lines are densified so their stroke can swell and thin along them
+function engraveHatchLines(lines, options) {
+    return options.hatchEngraving === 'width' ? lines.map(line => densifyPath(line, HATCH_ENGRAVING_STEP)) : lines;
+}
+
+// The distance field, continued into the seed regions (where it is 0) as minus the distance to
+// their edge, so flow hatching finds a direction inside them too
+function signedSeedDistance(solution, width, height) {
+    const outside = new Uint8Array(width * height);
+    for (let i = 0; i < outside.length; i++) outside[i] = solution[i] > 0 ? 1 : 0;
+    const inside = euclideanDistanceTransform(outside, width, height);
+    const signed = new Float32Array(width * height);
+    for (let i = 0; i < signed.length; i++) signed[i] = solution[i] > 0 ? solution[i] : -inside[i];
+    return signed;
+}
+
+// ============================================
+// PROJECT FILES
+// ============================================
+// Binary layout: "MWPJ", uint32 version, uint32 header length, UTF-8 JSON header, then the
+// typed-array chunks listed in header.chunks as { type, offset, length } (offsets are relative
+// to the end of the header, which is padded so every chunk stays 4-byte aligned).
+
+const PROJECT_MAGIC = 'MWPJ';
+// Version 2 stores path layers as Uint16Array (version 1 files, with Uint8Array layers, still load)
+const PROJECT_VERSION = 2;
+const PROJECT_ARRAY_TYPES = { Uint8Array, Uint16Array, Uint32Array, Float32Array };
+
+// Flatten paths into typed arrays: interleaved x/y (in PointArray), point count per path and
+// layer per path
+function packPaths(paths, PointArray = Float32Array) {
+    const total = paths.reduce((sum, path) => sum + path.length, 0);
+    const points = new PointArray(total * 2);
+    const lengths = new Uint32Array(paths.length);
+    const layers = new Uint16Array(paths.length);
+
+    let k = 0;
+    paths.forEach((path, i) => {
+        lengths[i] = path.length;
+        layers[i] = path.layer || 0;
+        for (const p of path) {
+            points[k++] = p.x;
+            points[k++] = p.y;
+        }
+    });
+    return { points, lengths, layers };
+}
+
+function unpackPaths({ points, lengths, layers }) {
+    const paths = [];
+    let k = 0;
+    for (let i = 0; i < lengths.length; i++) {
+        const path = new Array(lengths[i]);
+        for (let j = 0; j < path.length; j++, k += 2) {
+            path[j] = { x: points[k], y: points[k + 1] };
+        }
+        path.layer = layers[i];
+        paths.push(path);
+    }
+    return paths;
+}
+
+// project: { width, height, seed, options, plotter?, layerNames, layerStyles?, perf,
+//            image: { type, bytes } | null, grayData, solution, seedMask?, contours }
+// Composition region masks (options.regions[i].mask) are stored as regionMask<i> chunks.
+function encodeProject(project) {
+    const arrays = {
+        grayData: project.grayData,
+        solution: project.solution,
+        seedMask: project.seedMask,
+        ...packPaths(project.contours)
+    };
+    if (project.image) {
+        arrays.image = project.image.bytes;
+    }
+    let options = project.options;
+    if (options.regions) {
+        options.regions.forEach((region, i) => {
+            arrays[`regionMask${i}`] = region.mask;
+        });
+        options = { ...options, regions: options.regions.map(({ mask, ...region }) => region) };
+    }
+
+    const chunks = {};
+    let offset = 0;
+    for (const [name, array] of Object.entries(arrays)) {
+        if (!array) continue;
+        chunks[name] = { type: array.constructor.name, offset, length: array.length };
+        offset += Math.ceil(array.byteLength / 4) * 4;
+    }
+
+    const header = {
+        version: PROJECT_VERSION,
+        savedAt: new Date().toISOString(),
+        width: project.width,
+        height: project.height,
+        seed: project.seed,
+        options,
+        plotter: project.plotter || null,
+        layerNames: project.layerNames || [],
+        layerStyles: project.layerStyles || null,
+        perf: project.perf || {},
+        imageType: project.image ? project.image.type : null,
+        chunks
+    };
+
+    // Pad with spaces (still valid JSON) so the chunks that follow start 4-byte aligned
+    const json = new TextEncoder().encode(JSON.stringify(header));
+    const headerBytes = new Uint8Array(Math.ceil(json.length / 4) * 4).fill(0x20);
+    headerBytes.set(json);
+
+    const bytes = new Uint8Array(12 + headerBytes.length + offset);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < 4; i++) bytes[i] = PROJECT_MAGIC.charCodeAt(i);
+    view.setUint32(4, PROJECT_VERSION, true);
+    view.setUint32(8, headerBytes.length, true);
+    bytes.set(headerBytes, 12);
+
+    const base = 12 + headerBytes.length;
+    for (const [name, chunk] of Object.entries(chunks)) {
+        const array = arrays[name];
+        bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), base + chunk.offset);
+    }
+    return bytes;
+}
+
+// Accepts an ArrayBuffer or Uint8Array; typed arrays in the result are copies, not views
+function decodeProject(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    if (bytes.length < 12 || String.fromCharCode(...bytes.subarray(0, 4)) !== PROJECT_MAGIC) {
+        throw new Error('Not a Marching Waves project file');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const version = view.getUint32(4, true);
+    if (version > PROJECT_VERSION) {
+        throw new Error(`Project file version ${version} is newer than this app supports (${PROJECT_VERSION})`);
+    }
+
+    const headerLength = view.getUint32(8, true);
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)));
+    const base = 12 + headerLength;
+
+    const arrays = {};
+    for (const [name, chunk] of Object.entries(header.chunks)) {
+        const Type = PROJECT_ARRAY_TYPES[chunk.type];
+        if (!Type) throw new Error(`Unknown array type in project file: ${chunk.type}`);
+        const start = base + chunk.offset;
+        const end = start + chunk.length * Type.BYTES_PER_ELEMENT;
+        if (end > bytes.length) throw new Error('Project file is truncated');
+        arrays[name] = new Type(bytes.slice(start, end).buffer);
+    }
+
+    const options = header.options;
+    if (options.regions) {
+        options.regions = options.regions.map((region, i) => ({ ...region, mask: arrays[`regionMask${i}`] || null }));
+    }
+
+    return {
+        version,
+        savedAt: header.savedAt,
+        width: header.width,
+        height: header.height,
+        seed: header.seed,
+        options,
+        plotter: header.plotter,
+        layerNames: header.layerNames,
+        layerStyles: header.layerStyles || null,
+        perf: header.perf,
+        image: arrays.image ? { type: header.imageType, bytes: arrays.image } : null,
+        grayData: arrays.grayData || null,
+        solution: arrays.solution || null,
+        seedMask: arrays.seedMask || null,
+        contours: unpackPaths(arrays)
+    };
+}
+
+// Built-in style presets (also listed in the UI preset dropdown)
+const presets = {
+    'fluid': {
+        mode: 'streamlines',
+        interval: 5,
+        lineWidth: 0.8,
+        threshold: 50,
+        lineColor: '#1a1a2e',
+        invert: true,
+        contourSmoothness: 1.0,
+        simplification: 0.8
+    },
+    'cyberpunk': {
+        mode: 'contours',
+        interval: 15,
+        lineWidth: 1.2,
+        threshold: 60,
+        lineColor: '#00ff99',
+        invert: true,
+        edgeGuidance: true,
+        edgeSensitivity: 0.9,
+        simplification: 0.2,
+        contourSmoothness: 0.2
+    },
+    'ink-blot': {
+        mode: 'stipple',
+        interval: 4,
+        lineWidth: 1.0,
+        threshold: 30,
+        lineColor: '#000000',
+        invert: true
+    },
+    'ethereal': {
+        mode: 'contours',
+        interval: 4,
+        lineWidth: 0.5,
+        threshold: 20,
+        lineColor: '#88ccff',
+        invert: false,
+        contourSmoothness: 0.9,
+        detailLevel: 1.0
+    },
+    'sketch': {
+        mode: 'hatch',
+        interval: 8,
+        lineWidth: 0.5,
+        threshold: 50,
+        lineColor: '#000000',
+        invert: true,
+        simplification: 0.5
+    },
+    'topo-map': {
+        mode: 'contours',
+        interval: 12,
+        lineWidth: 1.0,
+        threshold: 50,
+        lineColor: '#1a1a1a',
+        invert: true,
+        edgeGuidance: false,
+        contourSmoothness: 0.85
+    },
+    'blueprint': {
+        mode: 'contours',
+        interval: 8,
+        lineWidth: 0.8,
+        threshold: 45,
+        lineColor: '#0055ff',
+        invert: true,
+        edgeGuidance: true,
+        edgeSensitivity: 0.8
+    },
+    'flowing-silk': {
+        mode: 'streamlines',
+        interval: 6,
+        lineWidth: 0.8,
+        threshold: 45,
+        lineColor: '#1a1a2e',
+        invert: true,
+        contourSmoothness: 0.95
+    },
+    'marble-flow': {
+        mode: 'streamlines',
+        interval: 10,
+        lineWidth: 1.5,
+        threshold: 50,
+        lineColor: '#2c3e50',
+        invert: true,
+        contourSmoothness: 0.8
+    },
+    'ink-stipple': {
+        mode: 'stipple',
+        interval: 10,
+        lineWidth: 1.0,
+        threshold: 40,
+        lineColor: '#000000',
+        invert: true
+    },
+    'tangled-string': {
+        mode: 'tsp',
+        interval: 8,
+        lineWidth: 0.5,
+        threshold: 55,
+        lineColor: '#000000',
+        invert: true
+    }
+};
+
+// User preset libraries exported from the UI and accepted by the CLI's --presets:
+// { format, version, presets: { <name>: { options, plotter? } } }
+const PRESET_LIBRARY_FORMAT = 'marching-waves-presets';
+
+function createPresetLibrary(userPresets) {
+    return { format: PRESET_LIBRARY_FORMAT, version: 1, presets: userPresets };
+}
+
+// Validate a parsed library; unknown option keys are dropped so old files can't inject stale fields
+function parsePresetLibrary(data) {
+    if (!data || data.format !== PRESET_LIBRARY_FORMAT || typeof data.presets !== 'object' || !data.presets) {
+        throw new Error('Not a Marching Waves preset library');
+    }
+
+    const library = {};
+    for (const [name, preset] of Object.entries(data.presets)) {
+        if (!name.trim() || !preset || typeof preset.options !== 'object' || !preset.options) {
+            throw new Error(`Preset "${name}" has no options`);
+        }
+        const options = {};
+        for (const [key, value] of Object.entries(preset.options)) {
+            if (key in defaultOptions) options[key] = value;
+        }
+        library[name] = { options };
+        if (preset.plotter && typeof preset.plotter === 'object') {
+            library[name].plotter = { ...preset.plotter };
+        }
+    }
+    return library;
+}
+
+class MarchingWavesCore {
+    constructor() {
+        this.imageData = null;
+        this.grayData = null;
+        this.solution = null;
+        this.contours = [];
+        this.rawContours = [];
+        this.originPoints = [];
+        this.perf = {};
+        this.width = 0;
+        this.height = 0;
+        this.seed = null;
+        this.layerNames = [];
+        this.layerStyles = null; // Per-layer styles set by compositions (null entries use the palette)
+        this.print = null; // Physical output size from resolvePrintSize, when one was requested
+        this.geometry = null; // Working image map from resolveImageGeometry, when preprocessing moves pixels
+        this.seedMask = null;
+        this.seedMaskMode = 'add';
+        this.speedCost = null; // Per-pixel cost from buildSpeedCost, null for the classic solve
+        this.solverTimings = {}; // Last Eikonal time per backend label, kept across runs
+        this.layerPalette = null;
+        this.variableWidth = null;
+        this.pathColoring = null; // pathPaint settings from applyStyleOptions, null for layer colours
+        this.pathPaints = new WeakMap(); // Paint per path under pathColoring
+        this.plotStats = null;
+        this.isCancelled = false;
+        this.progressCallback = null;
+        this.isPaused = false;
+        this.pauseResolve = null;
+        // Live preview is a browser concern; subclasses provide a LivePreviewManager
+        this.livePreviewEnabled = false;
+        this.livePreviewManager = null;
+    }
+
+    // Yield to the event loop so pause/cancel requests can be observed
+    async yieldToBrowser() {
+        return new Promise(resolve => {
+            if (typeof setImmediate === 'function') {
+                setImmediate(resolve);
+            } else {
+                setTimeout(resolve, 0);
+            }
+        });
+    }
+
+    cancel() {
+        this.isCancelled = true;
+    }
+
+    // Headless pipeline: grayscale -> CPU FMM -> extraction -> SVG
+    async processImage(imageData, options = {}) {
+        this.reset();
+        // Resolve the seed once so every stochastic stage (and the caller) sees the same value
+        this.seed = resolveSeed(options.seed);
+        options = { ...defaultOptions, ...options, seed: this.seed };
+        const { lineWidth, invert, lineColor, antiAlias, showProgress } = options;
+
+        this.geometry = resolveImageGeometry(options, imageData.width, imageData.height);
+        const working = this.geometry || imageData;
+        this.print = resolvePrintSize(options, working.width, working.height);
+        const size = this.print || working;
+        if (options.tiled) {
+            return this.processImageTiled(createImageTileReader(imageData, size.width, size.height, this.geometry), options);
+        }
+        if (this.print || this.geometry) {
+            options = this.resampleMasks(options, imageData.width, imageData.height);
+            imageData = createImageTileReader(imageData, size.width, size.height, this.geometry).read(0, 0, size.width, size.height);
+        }
+
+        const t0 = performance.now();
+        const width = imageData.width;
+        const height = imageData.height;
+        this.width = width;
+        this.height = height;
+        this.imageData = imageData;
+
+        this.updateProgress(showProgress, 15, 'Converting to grayscale...');
+        this.grayData = preprocessGrayscale(this.toGrayscale(imageData), width, height, options);
+        if (invert) {
+            this.invertGrayscale();
+        }
+        const t1 = performance.now();
+
+        this.seedMask = options.seedMask || null;
+        this.seedMaskMode = options.seedMaskMode;
+        this.originPoints = [];
+        const threshold = options.threshold / 100;
+        const seeds = buildSeedFlags(this.grayData, threshold, this.seedMask, this.seedMaskMode);
+        for (let i = 0; i < seeds.length; i++) {
+            if (seeds[i]) {
+                this.originPoints.push({ x: i % width, y: Math.floor(i / width) });
+            }
+        }
+        const edgeMap = options.speedMode === 'gradient' ? this.computeEdgeMap(imageData, width, height) : null;
+        this.speedCost = buildSpeedCost(this.grayData, options, edgeMap);
+
+        if (this.isCancelled) throw new Error('Cancelled by user');
+        this.updateProgress(showProgress, 30, 'Solving Eikonal equation...');
+        const solver = resolveSolver(options.solver, !!this.speedCost);
+        this.solveEikonalCPU(width, height, threshold, solver);
+        const t2 = performance.now();
+        const backend = `CPU ${describeSolver(solver, !!this.speedCost)}`;
+
+        if (this.isCancelled) throw new Error('Cancelled by user');
+        this.updateProgress(showProgress, 60, options.mode === 'streamlines' ? 'Tracing streamlines...' : 'Extracting contours...');
+        const extract = modeOptions => (modeOptions.regions && modeOptions.regions.length > 0
+            ? this.extractComposition(width, height, modeOptions, regionOptions => this.extractForMode(width, height, regionOptions))
+            : this.extractForMode(width, height, modeOptions));
+        const contourData = separatesColors(options)
+            ? await this.extractSeparation(width, height, options, extract, () => this.solveEikonalCPU(width, height, threshold, solver))
+            : await extract(options);
+        this.contours = contourData.contours;
+        this.rawContours = contourData.raw;
+        this.layerNames = contourData.layerNames || [];
+        this.layerStyles = contourData.layerStyles || null;
+        this.applyStyleOptions(options);
+        const t3 = performance.now();
+
+        this.perf = {
+            'Total': (t3 - t0).toFixed(1),
+            'Grayscale': `${(t1 - t0).toFixed(1)}ms (CPU)`,
+            'Eikonal': `${(t2 - t1).toFixed(1)}ms (${backend})`,
+            'Solver Timings': this.recordSolverTiming(backend, t2 - t1),
+            'Contours': `${(t3 - t2).toFixed(1)}ms (CPU)`,
+            'Width': width,
+            'Height': height,
+            'Origins': this.originPoints.length,
+            'Contour Lines': this.rawContours.reduce((sum, c) => sum + c.lines.length, 0),
+            'Joined Paths': this.contours.length,
+            'Optimization': contourData.skippedJoining ? 'Skipped (too many segments)' : 'Normal',
+            'Seed': this.seed
+        };
+        if (contourData.tourStats) {
+            this.perf['Tour Length'] = describeTourStats(contourData.tourStats);
+        }
+        if (this.print) {
+            this.perf['Print Size'] = describePrintSize(this.print);
+        }
+
+        this.updateProgress(showProgress, 100, 'Complete!');
+        return this.getSVG(width, height, lineColor, lineWidth, antiAlias);
+    }
+
+    // Seed and region masks are drawn at the image's size; processing at a print size or through
+    // a preprocessing geometry needs them over the image being processed
+    resampleMasks(options, imageWidth, imageHeight) {
+        const { width, height } = this.print || this.geometry;
+        const resample = mask => sampleMask(mask, imageWidth, imageHeight, width, height, 0, 0, width, height, this.geometry);
+        return {
+            ...options,
+            seedMask: options.seedMask ? resample(options.seedMask) : options.seedMask,
+            regions: options.regions ? options.regions.map(region => ({ ...region, mask: resample(region.mask) })) : options.regions
+        };
+    }
+
+    // Tiled pipeline for images too large for full-frame buffers (see PRINT SIZE & TILED
+    // PROCESSING). source is a tile reader such as createImageTileReader, carrying any preprocessing
+    // geometry; callers reset, resolve the seed and set this.print first. Contours mode only, with
+    // evenly spaced levels and no edge guidance, and the distance field is not kept afterwards.
+    async processImageTiled(source, options) {
+        const { interval, lineWidth, lineColor, antiAlias, maxSegments, skipJoining, showProgress } = options;
+        if (options.mode !== 'contours') throw new Error('Tiled processing supports the contours mode only');
+        if (options.regions && options.regions.length > 0) throw new Error('Tiled processing does not support composition regions');
+        if (options.speedMode === 'gradient') throw new Error('Gradient wave speed needs the whole image at once; pick another speed mode for tiled processing');
+        if (usesNeighbourhoodFilters(options)) throw new Error('Denoise and local contrast need the whole image at once; turn them off for tiled processing');
+        if (separatesColors(options)) throw new Error('Tiled processing does not support color separation');
+        if (options.pathColoring && options.pathColoring !== 'none') throw new Error('Tiled processing does not support path coloring');
+        if (options.seedMask && options.seedMask.length !== source.imageWidth * source.imageHeight) {
+            throw new Error(`Seed mask has ${options.seedMask.length} pixels, the image has ${source.imageWidth * source.imageHeight}`);
+        }
+
+        const t0 = performance.now();
+        const { width, height } = source;
+        const tileSize = Math.max(64, Math.round(options.tileSize || defaultOptions.tileSize));
+        this.width = width;
+        this.height = height;
+        this.imageData = null;
+        this.grayData = null;
+        this.solution = null;
+        this.speedCost = null;
+        this.originPoints = [];
+        this.seedMask = options.seedMask || null;
+        this.seedMaskMode = options.seedMaskMode;
+
+        const threshold = options.threshold / 100;
+        const weighted = options.speedMode && options.speedMode !== 'none';
+        const solver = resolveSolver(options.solver, weighted);
+        const edges = createTileEdges(width, height, tileSize);
+
+        // Seeds and cost for a tile with its halo; the uniform EDT is approximated by FMM at unit cost
+        let origins = 0;
+        const solveTile = (tile) => {
+            const rect = edges.expand(tile);
+            const gray = applyToneAdjustments(this.toGrayscale(source.read(rect.x, rect.y, rect.w, rect.h)), options);
+            if (options.invert) {
+                for (let i = 0; i < gray.length; i++) gray[i] = 1 - gray[i];
+            }
+            const mask = this.seedMask
+                ? sampleMask(this.seedMask, source.imageWidth, source.imageHeight, width, height, rect.x, rect.y, rect.w, rect.h, source.geometry)
+                : null;
+            const seeds = buildSeedFlags(gray, threshold, mask, this.seedMaskMode);
+            const cost = buildSpeedCost(gray, options) || (solver === 'edt' ? new Float32Array(gray.length).fill(1) : gray);
+
+            const initial = new Float32Array(rect.w * rect.h).fill(Infinity);
+            let reached = false;
+            for (let y = rect.y; y < rect.y + rect.h; y++) {
+                for (let x = rect.x; x < rect.x + rect.w; x++) {
+                    const core = x >= tile.x && x < tile.x + tile.w && y >= tile.y && y < tile.y + tile.h;
+                    if (core) {
+                        if (seeds[(y - rect.y) * rect.w + (x - rect.x)]) {
+                            reached = true;
+                            origins++;
+                        }
+                        continue;
+                    }
+                    const value = edges.value(x, y);
+                    initial[(y - rect.y) * rect.w + (x - rect.x)] = value;
+                    if (value < Infinity) reached = true;
+                }
+            }
+            if (!reached) return null;
+
+            const fmm = createWeightedEikonalSolver(cost, seeds, rect.w, rect.h, solver === 'fmm2' ? 2 : 1, initial);
+            fmm.step();
+            return { rect, solution: fmm.solution };
+        };
+
+        // 1. Solve tiles until their edges stop changing
+        this.updateProgress(showProgress, 15, `Solving ${edges.tiles.length} tiles...`);
+        const queue = [...edges.tiles];
+        const queued = new Set(queue);
+        let solves = 0;
+        while (queue.length > 0) {
+            if (this.isCancelled) throw new Error('Cancelled by user');
+            await this.checkPause();
+
+            const tile = queue.shift();
+            queued.delete(tile);
+            const result = solveTile(tile);
+            solves++;
+            if (result) {
+                for (const neighbor of edges.store(tile, result.solution, result.rect, 1e-3)) {
+                    if (!queued.has(neighbor)) {
+                        queued.add(neighbor);
+                        queue.push(neighbor);
+                    }
+                }
+            }
+
+            this.updateProgress(showProgress, Math.min(55, 15 + 20 * solves / edges.tiles.length), `Solving tiles (${solves} solves, ${queue.length} queued)...`);
+            await this.yieldToBrowser();
+        }
+        const t1 = performance.now();
+
+        let min = Infinity, max = -Infinity;
+        for (const tile of edges.tiles) {
+            min = Math.min(min, tile.min);
+            max = Math.max(max, tile.max);
+        }
+
+        // 2. Solve each tile once more and contour it. Cells along a seam read the neighbour's own
+        //    edge values, so the segments on both sides come from the same field.
+        const byLevel = new Map();
+        origins = 0;
+        if (min < Infinity) {
+            for (const tile of edges.tiles) {
+                if (this.isCancelled) throw new Error('Cancelled by user');
+                await this.checkPause();
+
+                const result = solveTile(tile);
+                if (result) {
+                    const { rect, solution } = result;
+                    const field = (x, y) => {
+                        if (x >= width || y >= height) return Infinity;
+                        if (x < tile.x || x >= tile.x + tile.w || y < tile.y || y >= tile.y + tile.h) return edges.value(x, y);
+                        return solution[(y - rect.y) * rect.w + (x - rect.x)];
+                    };
+                    contourCellsByLevel(field, min, interval, max, tile.x, tile.y,
+                        Math.min(tile.x + tile.w, width - 1), Math.min(tile.y + tile.h, height - 1), byLevel);
+                }
+
+                this.updateProgress(showProgress, 55 + 25 * (tile.index + 1) / edges.tiles.length, `Contouring tile ${tile.index + 1}/${edges.tiles.length}...`);
+                await this.yieldToBrowser();
+            }
+        }
+
+        const rawContours = [...byLevel.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([k, lines]) => {
+                const level = min + k * interval;
+                return { level, layer: layerForValue((level - min) / (max - min || 1), options.layerCount), lines };
+            });
+        const totalLines = rawContours.reduce((sum, contour) => sum + contour.lines.length, 0);
+
+        // 3. Join across the whole image; plotter exports order paths themselves
+        let contours;
+        if (totalLines > maxSegments || skipJoining) {
+            contours = [];
+            for (const contour of rawContours) {
+                for (const line of contour.lines) {
+                    const path = [{ x: line.x1, y: line.y1 }, { x: line.x2, y: line.y2 }];
+                    path.layer = contour.layer;
+                    contours.push(path);
+                }
+            }
+        } else {
+            this.updateProgress(showProgress, 80, 'Joining paths...');
+            contours = await this.joinContoursImproved(rawContours, showProgress, { ...options, optimizePath: false });
+        }
+        const t2 = performance.now();
+
+        this.contours = contours;
+        this.rawContours = rawContours;
+        this.layerNames = [];
+        this.layerStyles = null;
+        this.applyStyleOptions(options);
+
+        const backend = `CPU tiled ${describeSolver(solver, weighted)}`;
+        this.perf = {
+            'Total': (t2 - t0).toFixed(1),
+            'Eikonal': `${(t1 - t0).toFixed(1)}ms (${backend})`,
+            'Tiles': `${edges.columns}x${edges.rows} of ${tileSize}px, ${solves} solves`,
+            'Contours': `${(t2 - t1).toFixed(1)}ms (CPU)`,
+            'Width': width,
+            'Height': height,
+            'Origins': origins,
+            'Contour Lines': totalLines,
+            'Joined Paths': contours.length,
+            'Optimization': totalLines > maxSegments || skipJoining ? 'Skipped (too many segments)' : 'Normal',
+            'Seed': this.seed
+        };
+        if (this.print) {
+            this.perf['Print Size'] = describePrintSize(this.print);
+        }
+
+        this.updateProgress(showProgress, 100, 'Complete!');
+        return this.getSVG(width, height, lineColor, lineWidth, antiAlias);
+    }
+
+    // Snapshot of the current result for encodeProject; the caller adds the source image.
+    // The seed mask travels as a binary chunk rather than inside the JSON options.
+    toProject(options) {
+        const { seedMask, ...settings } = options;
+        return {
+            width: this.width,
+            height: this.height,
+            seed: this.seed,
+            options: settings,
+            seedMask: seedMask || null,
+            layerNames: this.layerNames,
+            layerStyles: this.layerStyles,
+            perf: this.perf,
+            grayData: this.grayData,
+            solution: this.solution,
+            contours: this.contours
+        };
+    }
+
+    // Restore a decoded project so re-export, region reruns and re-extraction work without
+    // solving again. imageData is the decoded source image (the project only stores its file bytes);
+    // it goes through the saved preprocessing geometry and print size to the working image, unless
+    // the caller already has that as workingImageData.
+    loadProject(project, imageData, workingImageData = null) {
+        this.geometry = resolveImageGeometry(project.options, imageData.width, imageData.height);
+        const working = this.geometry || imageData;
+        this.print = resolvePrintSize(project.options, working.width, working.height);
+        if (!workingImageData) {
+            workingImageData = this.print || this.geometry
+                ? createImageTileReader(imageData, project.width, project.height, this.geometry).read(0, 0, project.width, project.height)
+                : imageData;
+        }
+        if (workingImageData.width !== project.width || workingImageData.height !== project.height) {
+            throw new Error(`Project image is ${workingImageData.width}x${workingImageData.height}, expected ${project.width}x${project.height}`);
+        }
+        this.width = project.width;
+        this.height = project.height;
+        this.imageData = workingImageData;
+        this.grayData = project.grayData;
+        this.solution = project.solution;
+        this.contours = project.contours;
+        this.rawContours = [];
+        this.originPoints = [];
+        this.layerNames = project.layerNames || [];
+        this.layerStyles = project.layerStyles || null;
+        this.seed = project.seed;
+        this.seedMask = project.seedMask || null;
+        this.seedMaskMode = project.options.seedMaskMode || 'add';
+        this.perf = { ...project.perf };
+        this.applyStyleOptions(project.options);
+    }
+
+    // Main-thread extraction for the selected mode (same dispatch as the browser fallback path)
+    async extractForMode(width, height, options) {
+        const { interval, maxSegments, skipJoining, showProgress, lineColor, lineWidth } = options;
+
+        switch (options.mode) {
+            case 'streamlines':
+                return this.extractStreamlines(width, height, options);
+            case 'stipple':
+                return this.extractStipple(width, height, options);
+            case 'tsp':
+                return this.extractTSP(width, height, options);
+            case 'hatch':
+                return this.extractHatch(width, height, options);
+            default: {
+                const contourOptions = {
+                    adaptiveContours: options.adaptiveContours !== false,
+                    edgeGuidance: options.edgeGuidance !== false,
+                    edgeSensitivity: options.edgeSensitivity ?? 0.7,
+                    detailLevel: options.detailLevel ?? 0.8,
+                    contourSmoothness: options.contourSmoothness ?? 0.5,
+                    featureImportance: options.featureImportance ?? 0.6,
+                    mode: options.mode,
+                    threshold: options.threshold,
+                    layerCount: options.layerCount
+                };
+                return this.extractContours(width, height, interval, maxSegments, skipJoining, showProgress, {}, lineColor, lineWidth, contourOptions);
+            }
+        }
+    }
+
+    // Extracts every composition region with its own options and keeps the parts of its paths that
+    // the region owns. extract(options) runs one mode over the whole image (extractForMode here, the
+    // worker dispatch in the browser). Each region gets its own layers, so it exports as its own SVG
+    // group and plots with its own pen; region line styles are returned as layer styles.
+    async extractComposition(width, height, options, extract) {
+        const regions = options.regions;
+        for (const region of regions) {
+            if (!region.mask || region.mask.length !== width * height) {
+                throw new Error(`Region "${region.name}" has no mask for the ${width}x${height} image`);
+            }
+        }
+        const owner = createRegionOwner(regions, width, height);
+        const parts = [
+            { name: 'Background', options },
+            ...regions.map(region => ({ name: region.name, options: resolveRegionOptions(options, region) }))
+        ];
+
+        const contours = [];
+        const layerNames = [];
+        const layerStyles = [];
+        let skippedJoining = false;
+        for (let k = 0; k < parts.length; k++) {
+            const { name, options: partOptions } = parts[k];
+            if (this.isCancelled) throw new Error('Cancelled by user');
+            this.updateProgress(options.showProgress, 60 + (k / parts.length) * 30, `Extracting ${name} (${partOptions.mode})...`);
+
+            const data = await extract(partOptions);
+            skippedJoining = skippedJoining || data.skippedJoining;
+            // Clipping drops what lies inside the test, so test for "owned by another part"
+            const { kept, pieces } = clipPathsToRegion(data.contours, (x, y) => owner(x, y) !== k - 1);
+
+            const names = data.layerNames || [];
+            const count = [...kept, ...pieces].reduce((max, path) => Math.max(max, (path.layer || 0) + 1), Math.max(1, names.length));
+            const offset = layerNames.length;
+            for (let l = 0; l < count; l++) {
+                layerNames.push(count === 1 ? name : `${name}: ${names[l] || `Layer ${l + 1}`}`);
+                // The background keeps following the live palette; regions carry their own pens
+                layerStyles.push(k === 0 ? null : (partOptions.layerPalette && partOptions.layerPalette[l]) || { color: partOptions.lineColor, width: partOptions.lineWidth });
+            }
+            for (const path of [...kept, ...pieces]) {
+                delete path.cutStart;
+                delete path.cutEnd;
+                path.layer = offset + (path.layer || 0);
+                contours.push(path);
+            }
+        }
+
+        return { contours, raw: [], skippedJoining, layerNames, layerStyles };
+    }
+
+    // Extracts every ink of options.colorMode (see separateChannels) from its own distance field.
+    // extract(options) runs one field's extraction (a composition when there are regions) and
+    // solve() fills this.solution from this.grayData, this.speedCost and the seed mask. Each ink
+    // gets its own layers in its colour, multiplied over the others like ink on paper. The
+    // luminance field, cost and solution are put back afterwards for debug views and reruns.
+    async extractSeparation(width, height, options, extract, solve) {
+        const inks = separateChannels(this.imageData, options);
+        const threshold = options.threshold / 100;
+        const edgeMap = options.speedMode === 'gradient' ? this.computeEdgeMap(this.imageData, width, height) : null;
+        const luminance = { grayData: this.grayData, speedCost: this.speedCost, solution: this.solution };
+
+        const contours = [];
+        const layerNames = [];
+        const layerStyles = [];
+        let skippedJoining = false;
+        try {
+            for (let i = 0; i < inks.length; i++) {
+                const ink = inks[i];
+                if (this.isCancelled) throw new Error('Cancelled by user');
+                this.updateProgress(options.showProgress, 30, `Separating ${ink.name} (${i + 1}/${inks.length})...`);
+
+                this.grayData = preprocessGrayscale(ink.gray, width, height, options);
+                if (options.invert) {
+                    this.invertGrayscale();
+                }
+                // An ink the image doesn't use has nothing to draw
+                if (!this.grayData.some(value => value < threshold)) continue;
+                this.speedCost = buildSpeedCost(this.grayData, options, edgeMap);
+                await solve();
+
+                const data = await extract({
+                    ...options,
+                    seed: (options.seed + i) >>> 0,
+                    hatchAngle: ink.angle,
+                    hatchOffset: ink.offset
+                });
+                skippedJoining = skippedJoining || data.skippedJoining;
+
+                const names = data.layerNames || [];
+                const count = data.contours.reduce((max, path) => Math.max(max, (path.layer || 0) + 1), Math.max(1, names.length));
+                const offset = layerNames.length;
+                for (let l = 0; l < count; l++) {
+                    layerNames.push(count === 1 ? ink.name : `${ink.name}: ${names[l] || `Layer ${l + 1}`}`);
+                    layerStyles.push({ color: ink.color, width: options.lineWidth, blend: 'multiply' });
+                }
+                for (const path of data.contours) {
+                    path.layer = offset + (path.layer || 0);
+                    contours.push(path);
+                }
+            }
+        } finally {
+            Object.assign(this, luminance);
+        }
+
+        return { contours, raw: [], skippedJoining, layerNames, layerStyles };
+    }
+
+    setProgressCallback(cb) {
+        this.progressCallback = cb;
+    }
+
+    pause() {
+        if (!this.isPaused) {
+            this.isPaused = true;
+            this.updateProgress(true, null, 'Paused');
+        }
+    }
+
+    resume() {
+        if (this.isPaused) {
+            this.isPaused = false;
+            if (this.pauseResolve) {
+                this.pauseResolve();
+                this.pauseResolve = null;
+            }
+        }
+    }
+
+    async checkPause() {
+        if (this.isPaused) {
+            await new Promise(resolve => {
+                this.pauseResolve = resolve;
+            });
+            this.updateProgress(true, null, 'Resuming...');
+        }
+    }
+
+    reset() {
+        this.isCancelled = false;
+    }
+
+    updateProgress(show, percent, text) {
+        if (this.progressCallback) {
+            this.progressCallback(show, percent, text);
+        }
+    }
+
+    toGrayscale(imageData) {
+        const gray = new Float32Array(imageData.width * imageData.height);
+        const data = imageData.data;
+
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = (0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]) / 255;
+        }
+
+        return gray;
+    }
+
+    invertGrayscale() {
+        for (let i = 0; i < this.grayData.length; i++) {
+            this.grayData[i] = 1 - this.grayData[i];
+        }
+    }
+
+    // Last Eikonal time per backend this session, as a perf panel line for comparing them
+    recordSolverTiming(backend, ms) {
+        this.solverTimings[backend] = ms;
+        return Object.entries(this.solverTimings).map(([name, time]) => `${name} ${time.toFixed(1)}ms`).join('; ');
+    }
+
+    // CPU-based Fast Marching Method solver; seeds follow buildSeedFlags with this.seedMask.
+    // solver is a resolveSolver backend; 'fmm2' and weighted solves use createWeightedEikonalSolver
+    // (on this.speedCost, else the classic grayscale cost) and 'edt' the exact distance transform.
+    solveEikonalCPU(width, height, threshold, solver = 'fmm') {
+        const f = this.grayData;
+        const seeds = buildSeedFlags(f, threshold, this.seedMask, this.seedMaskMode);
+        if (solver === 'edt') {
+            this.solution = euclideanDistanceTransform(seeds, width, height);
+            return;
+        }
+        if (this.speedCost || solver === 'fmm2') {
+            const fmm = createWeightedEikonalSolver(this.speedCost || f, seeds, width, height, solver === 'fmm2' ? 2 : 1);
+            fmm.step();
+            this.solution = fmm.solution;
+            return;
+        }
+        const size = width * height;
+        this.solution = new Float32Array(size);
+        this.solution.fill(Infinity);
+
+        const visited = new Uint8Array(size);
+        const heap = [];
+
+        const idx = (x, y) => y * width + x;
+
+        const safeGet = (x, y) => {
+            if (x < 0 || x >= width || y < 0 || y >= height) return Infinity;
+            const val = this.solution[idx(x, y)];
+            return (val === undefined || isNaN(val) || !isFinite(val)) ? Infinity : val;
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = idx(x, y);
+                if (seeds[i]) {
+                    this.solution[i] = 0;
+                    heap.push({ x, y, value: 0 });
+                }
+            }
+        }
+
+        const heapPush = (item) => {
+            heap.push(item);
+            let i = heap.length - 1;
+            while (i > 0) {
+                const parent = Math.floor((i - 1) / 2);
+                if (heap[parent].value <= heap[i].value) break;
+                [heap[parent], heap[i]] = [heap[i], heap[parent]];
+                i = parent;
+            }
+        };
+
+        const heapPop = () => {
+            if (heap.length === 0) return null;
+            const result = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                let i = 0;
+                while (true) {
+                    const left = 2 * i + 1;
+                    const right = 2 * i + 2;
+                    let smallest = i;
+                    if (left < heap.length && heap[left].value < heap[smallest].value) {
+                        smallest = left;
+                    }
+                    if (right < heap.length && heap[right].value < heap[smallest].value) {
+                        smallest = right;
+                    }
+                    if (smallest === i) break;
+                    [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+                    i = smallest;
+                }
+            }
+            return result;
+        };
+
+        while (heap.length > 0) {
+            const current = heapPop();
+            if (!current) break;
+            const { x, y } = current;
+            const currentIdx = idx(x, y);
+            // A point is settled by its first (smallest) entry; later ones are stale
+            if (visited[currentIdx]) continue;
+            visited[currentIdx] = 1;
+
+            const neighbors = [
+                { x: x - 1, y },
+                { x: x + 1, y },
+                { x, y: y - 1 },
+                { x, y: y + 1 }
+            ];
+
+            for (const neighbor of neighbors) {
+                if (neighbor.x < 0 || neighbor.x >= width || neighbor.y < 0 || neighbor.y >= height) continue;
+                
+                const nIdx = idx(neighbor.x, neighbor.y);
+                if (visited[nIdx]) continue;
+
+                const ux = safeGet(x - 1, y);
+                const uy = safeGet(x, y - 1);
+                const ux_next = safeGet(x + 1, y);
+                const uy_next = safeGet(x, y + 1);
+
+                const neighborsX = [];
+                const neighborsY = [];
+                
+                if (ux < Infinity) neighborsX.push(ux);
+                if (ux_next < Infinity) neighborsX.push(ux_next);
+                if (uy < Infinity) neighborsY.push(uy);
+                if (uy_next < Infinity) neighborsY.push(uy_next);
+
+                let minX = neighborsX.length > 0 ? Math.min(...neighborsX) : Infinity;
+                let minY = neighborsY.length > 0 ? Math.min(...neighborsY) : Infinity;
+
+                let newValue;
+                const fVal = f[nIdx];
+                
+                if (minX === Infinity && minY === Infinity) {
+                    continue;
+                } else if (minX === Infinity) {
+                    newValue = minY + fVal;
+                } else if (minY === Infinity) {
+                    newValue = minX + fVal;
+                } else {
+                    const min = Math.min(minX, minY);
+                    const other = Math.max(minX, minY);
+                    if (other - min >= fVal) {
+                        newValue = min + fVal;
+                    } else {
+                        const discriminant = 2 * fVal * fVal - (other - min) * (other - min);
+                        if (discriminant < 0) {
+                            newValue = min + fVal;
+                        } else {
+                            newValue = (min + other + Math.sqrt(discriminant)) / 2;
+                        }
+                    }
+                }
+
+                if (newValue < this.solution[nIdx]) {
+                    this.solution[nIdx] = newValue;
+                    heapPush({ x: neighbor.x, y: neighbor.y, value: newValue });
+                }
+            }
+        }
+    }
+
+    async extractContours(width, height, interval, maxSegments, skipJoining, showProgress, gpuUsed = {}, lineColor = '#000000', lineWidth = 1, options = {}) {
+        // Use the new adaptive contour extraction algorithm
+        return this.extractContoursAdaptive(width, height, interval, maxSegments, skipJoining, showProgress, lineColor, lineWidth, options);
+    }
+
+    async extractStreamlines(width, height, options) {
+        if (options.streamlineAlgorithm === 'even') {
+            return this.extractEvenStreamlines(width, height, options);
+        }
+
+        const { interval = 8, showProgress = true } = options;
+
+        const tStart = performance.now();
+        const gradient = this.computeDistanceFieldGradient(this.solution, width, height);
+        const paths = await traceGridStreamlines(gradient, this.grayData, width, height, {
+            interval,
+            threshold: grayThreshold(options),
+            seed: options.seed,
+            checkpoint: async () => {
+                await this.checkPause();
+                if (this.isCancelled) throw new Error('Cancelled by user');
+                await this.yieldToBrowser();
+            },
+            onProgress: (fraction, message) => this.updateProgress(showProgress, 60 + fraction * 30, message)
+        });
+        console.log(`Streamline tracing took ${(performance.now() - tStart).toFixed(1)}ms for ${paths.length} paths`);
+
+        return this.smoothGridStreamlines(paths, options);
+    }
+
+    // Smoothing for traced grid streamlines, wherever they were traced
+    smoothGridStreamlines(paths, options) {
+        this.updateProgress(options.showProgress ?? true, 95, 'Optimizing paths...');
+        const optimized = this.postProcessPaths(paths, {
+            ...options,
+            // Ensure we use splines if smoothness is requested
+            contourSmoothness: options.contourSmoothness || 0.5,
+            // Streamlines are already continuous, but might be noisy from grid
+            simplification: 0.8 
+        });
+
+        return { 
+            contours: optimized, 
+            raw: [], // We don't really have raw segments in this mode
+            skippedJoining: false 
+        };
+    }
+
+    // Jobard–Lefer streamlines (see EVENLY-SPACED STREAMLINES); the worker task traces them the same way
+    async extractEvenStreamlines(width, height, options) {
+        const { showProgress = true } = options;
+
+        const tStart = performance.now();
+        const directionAt = (x, y) => fieldDirection(this.solution, width, height, x, y);
+        const paths = await traceEvenStreamlines(directionAt, this.grayData, width, height, {
+            ...evenStreamlineSettings(options),
+            seed: options.seed,
+            checkpoint: async () => {
+                await this.checkPause();
+                if (this.isCancelled) throw new Error('Cancelled by user');
+                await this.yieldToBrowser();
+            },
+            onProgress: (fraction, message) => this.updateProgress(showProgress, 60 + fraction * 30, message)
+        });
+        console.log(`Even streamline tracing took ${(performance.now() - tStart).toFixed(1)}ms for ${paths.length} paths`);
+
+        return { contours: paths, raw: [], skippedJoining: true };
+    }
+
+    async extractStipple(width, height, options) {
+        if (options.stippleAlgorithm === 'voronoi') {
+            return this.extractStippleVoronoi(width, height, options);
+        }
+
+        const {
+            interval = 8,
+            showProgress = true
+        } = options;
+        const threshold = grayThreshold(options);
+
+        const tStart = performance.now();
+        const random = createRandom(options.seed);
+        const points = [];
+        const minRadius = 1.5; // Slightly tighter for better detail
+        const maxRadius = interval;
+        
+        // 1. Build a density mask to skip light areas early
+        const mask = new Uint8Array(width * height);
+        let activePixels = 0;
+        for (let i = 0; i < this.grayData.length; i++) {
+            if (this.grayData[i] < threshold) {
+                mask[i] = 1;
+                activePixels++;
+            }
+        }
+
+        if (activePixels === 0) return { contours: [], raw: [], skippedJoining: true };
+
+        // 2. Poisson Disk Sampling
+        const k = 20; // Reduced k for faster generation with minimal quality loss
+        const active = [];
+        // The spacing two dots keep is at most maxRadius, so a grid of maxRadius cells finds every dot
+        // too close to a candidate in the 3x3 cells around it; dark cells hold several dots
+        const cellSize = maxRadius;
+        const gridWidth = Math.ceil(width / cellSize);
+        const gridHeight = Math.ceil(height / cellSize);
+        const grid = Array.from({ length: gridWidth * gridHeight }, () => []);
+
+        const getRadius = (x, y) => {
+            const idx = Math.floor(y) * width + Math.floor(x);
+            const val = this.grayData[idx];
+            return minRadius + (val * (maxRadius - minRadius));
+        };
+
+        const insertPoint = (p) => {
+            const idx = points.length;
+            points.push(p);
+            const gx = Math.floor(p.x / cellSize);
+            const gy = Math.floor(p.y / cellSize);
+            grid[gy * gridWidth + gx].push(idx);
+            active.push(idx);
+        };
+
+        // Seed with multiple points in dark areas for faster fill
+        const numSeeds = Math.min(10, Math.ceil(activePixels / 10000));
+        for (let s = 0; s < numSeeds; s++) {
+            let seed = null;
+            for (let i = 0; i < 50; i++) {
+                const rx = random() * width;
+                const ry = random() * height;
+                if (mask[Math.floor(ry) * width + Math.floor(rx)]) {
+                    seed = { x: rx, y: ry };
+                    insertPoint(seed);
+                    break;
+                }
+            }
+        }
+        
+        if (points.length === 0) insertPoint({ x: width / 2, y: height / 2 });
+
+        while (active.length > 0) {
+            const activeIdx = Math.floor(random() * active.length);
+            const pIdx = active[activeIdx];
+            const p = points[pIdx];
+            const r = getRadius(p.x, p.y);
+
+            let found = false;
+            for (let i = 0; i < k; i++) {
+                const angle = random() * Math.PI * 2;
+                const dist = r + random() * r;
+                const nx = p.x + Math.cos(angle) * dist;
+                const ny = p.y + Math.sin(angle) * dist;
+
+                if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+                    if (!mask[Math.floor(ny) * width + Math.floor(nx)]) continue;
+
+                    const nr = getRadius(nx, ny);
+                    const gx = Math.floor(nx / cellSize);
+                    const gy = Math.floor(ny / cellSize);
+                    let tooClose = false;
+                    
+                    for (let dy = -1; dy <= 1 && !tooClose; dy++) {
+                        for (let dx = -1; dx <= 1 && !tooClose; dx++) {
+                            const ngx = gx + dx;
+                            const ngy = gy + dy;
+                            if (ngx < 0 || ngx >= gridWidth || ngy < 0 || ngy >= gridHeight) continue;
+                            for (const neighborIdx of grid[ngy * gridWidth + ngx]) {
+                                const neighbor = points[neighborIdx];
+                                const dSq = (nx - neighbor.x)**2 + (ny - neighbor.y)**2;
+                                const minDist = (nr + getRadius(neighbor.x, neighbor.y)) / 2;
+                                if (dSq < minDist * minDist) {
+                                    tooClose = true;
+                                    break;
+                                }
+                            }
+                        }
+                    }
+
+                    if (!tooClose) {
+                        insertPoint({ x: nx, y: ny });
+                        found = true;
+                        break;
+                    }
+                }
+            }
+
+            if (!found) {
+                active.splice(activeIdx, 1);
+            }
+
+            if (points.length % 2000 === 0 && showProgress) {
+                this.updateProgress(showProgress, 60 + (points.length / 40000) * 30, `Stippling (${points.length} dots)...`);
+                await this.checkPause();
+                if (this.isCancelled) throw new Error('Cancelled by user');
+                await this.yieldToBrowser();
+            }
+            if (points.length > 150000) break;
+        }
+
+        // Dot size follows tone, so tone bands double as radius bands
+        const dotPaths = points.map(p => {
+            const dot = [{ x: p.x, y: p.y }, { x: p.x + 0.1, y: p.y + 0.1 }];
+            dot.layer = layerForValue(this.grayData[Math.floor(p.y) * width + Math.floor(p.x)], options.layerCount);
+            return dot;
+        });
+        return { contours: dotPaths, raw: [], skippedJoining: true };
+    }
+
+    // Secord-style stippling: density-sampled points relaxed towards weighted Voronoi centroids
+    async extractStippleVoronoi(width, height, options) {
+        const { interval = 8, showProgress = true, lineColor = '#000000', lineWidth = 1 } = options;
+        const iterations = options.stippleIterations ?? defaultOptions.stippleIterations;
+        const density = stippleDensity(this.grayData, grayThreshold(options));
+        const count = stippleCount(density, interval);
+        const points = sampleByDensity(density, width, count, createRandom(options.seed));
+        if (points.length === 0) return { contours: [], raw: [], skippedJoining: true };
+
+        this.updateProgress(showProgress, 60, `Relaxing ${points.length} dots...`);
+        await relaxStipplePoints(points, density, width, height, {
+            iterations,
+            checkpoint: async () => {
+                await this.checkPause();
+                if (this.isCancelled) throw new Error('Cancelled by user');
+                await this.yieldToBrowser();
+            },
+            onIteration: (iteration, current, shift) => {
+                this.updateProgress(showProgress, 60 + (iteration / iterations) * 30, `Relaxing dots (iteration ${iteration}/${iterations}, shift ${shift.toFixed(2)}px)...`);
+                if (this.livePreviewEnabled && this.livePreviewManager) {
+                    this.livePreviewManager.renderPoints(current, width, height, lineColor, lineWidth);
+                }
+            }
+        });
+
+        const dotPaths = points.map(p => {
+            const dot = [{ x: p.x, y: p.y }, { x: p.x + 0.1, y: p.y + 0.1 }];
+            dot.layer = layerForValue(this.grayData[Math.floor(p.y) * width + Math.floor(p.x)], options.layerCount);
+            return dot;
+        });
+        return { contours: dotPaths, raw: [], skippedJoining: true };
+    }
+
+    async extractTSP(width, height, options) {
+        const stippleResult = await this.extractStipple(width, height, { ...options, showProgress: true });
+        const points = stippleResult.contours.map(p => p[0]);
+        if (points.length < 2) return { contours: [], raw: [], skippedJoining: false };
+
+        this.updateProgress(true, 90, `Connecting ${points.length} points...`);
+        
+        // Optimized Nearest Neighbor with Spatial Grid
+        const orderedPoints = [];
+        const used = new Uint8Array(points.length);
+        const cellSize = 30;
+        const gridWidth = Math.ceil(width / cellSize);
+        const gridHeight = Math.ceil(height / cellSize);
+        const grid = Array(gridWidth * gridHeight).fill().map(() => []);
+        
+        for (let i = 0; i < points.length; i++) {
+            const gx = Math.floor(points[i].x / cellSize);
+            const gy = Math.floor(points[i].y / cellSize);
+            grid[gy * gridWidth + gx].push(i);
+        }
+
+        let currentIdx = 0;
+        orderedPoints.push(points[currentIdx]);
+        used[currentIdx] = 1;
+        let remaining = points.length - 1;
+
+        while (remaining > 0) {
+            if (remaining % 1000 === 0) {
+                this.updateProgress(true, 90 + (1 - remaining / points.length) * 5, `TSP: ${remaining} left...`);
+                await this.yieldToBrowser();
+            }
+
+            const cp = points[currentIdx];
+            let nearestIdx = -1;
+            let minDistSq = Infinity;
+
+            const gx = Math.floor(cp.x / cellSize);
+            const gy = Math.floor(cp.y / cellSize);
+            
+            let searchRadius = 0;
+            let found = false;
+
+            while (!found && searchRadius < Math.max(gridWidth, gridHeight)) {
+                for (let dy = -searchRadius; dy <= searchRadius; dy++) {
+                    for (let dx = -searchRadius; dx <= searchRadius; dx++) {
+                        if (Math.abs(dx) !== searchRadius && Math.abs(dy) !== searchRadius && searchRadius > 0) continue;
+                        
+                        const ngx = gx + dx;
+                        const ngy = gy + dy;
+                        if (ngx >= 0 && ngx < gridWidth && ngy >= 0 && ngy < gridHeight) {
+                            const cell = grid[ngy * gridWidth + ngx];
+                            for (const pIdx of cell) {
+                                if (!used[pIdx]) {
+                                    const dSq = (cp.x - points[pIdx].x)**2 + (cp.y - points[pIdx].y)**2;
+                                    if (dSq < minDistSq) {
+                                        minDistSq = dSq;
+                                        nearestIdx = pIdx;
+                                        found = true;
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+                searchRadius++;
+            }
+
+            if (nearestIdx !== -1) {
+                orderedPoints.push(points[nearestIdx]);
+                used[nearestIdx] = 1;
+                currentIdx = nearestIdx;
+                remaining--;
+            } else break;
+        }
+
+        // Untangle the greedy tour; crossings are the most visible defect in continuous-line prints
+        const { points: tour, stats: tourStats } = await optimizeTour(orderedPoints, {
+            moveLimit: options.tspMoveLimit ?? defaultOptions.tspMoveLimit,
+            checkpoint: async () => {
+                await this.checkPause();
+                if (this.isCancelled) throw new Error('Cancelled by user');
+                await this.yieldToBrowser();
+            },
+            onProgress: (fraction, message) => this.updateProgress(true, 95 + fraction * 5, message)
+        });
+        console.log(`TSP tour: ${describeTourStats(tourStats)}, ${tourStats.twoOptMoves} 2-opt / ${tourStats.orOptMoves} Or-opt moves`);
+
+        // Smooth the TSP path
+        const smoothed = this.postProcessPaths([tour], {
+            ...options,
+            contourSmoothness: 0.5, // Force some smoothing for TSP
+            optimizePath: false // Already optimized
+        });
+
+        return { contours: smoothed, raw: [], skippedJoining: false, tourStats };
+    }
+
+    // Hatching (see HATCHING) on the main thread. options.hatchAngle (degrees) turns every layer
+    // and options.hatchOffset shifts straight lines by that fraction of the spacing; color
+    // separation sets both per ink
+    async extractHatch(width, height, options) {
+        const { interval = 10, showProgress = true, hatchAngle = 0, hatchOffset = 0 } = options;
+        const threshold = grayThreshold(options);
+        const layers = resolveHatchLayers(options);
+
+        let lines;
+        if (hatchesInBands(options)) {
+            this.updateProgress(showProgress, 60, 'Hatching...');
+            lines = mergeHatchRuns([hatchRuns(this.grayData, width, height, 0, height, interval, threshold, hatchAngle, hatchOffset, layers)]);
+        } else {
+            lines = await this.traceHatchLines(width, height, options, layers, threshold);
+        }
+
+        // Optimize lines
+        const optimized = this.postProcessPaths(lines, { ...options, contourSmoothness: 0, simplification: 0.5 });
+        const layerNames = hatchLayerNames(layers, hatchAngle);
+
+        return { contours: engraveHatchLines(optimized, options), raw: [], skippedJoining: false, layerNames };
+    }
+
+    // Evenly spaced hatch lines, one traceEvenStreamlines run per layer: along the distance field's
+    // isolines or gradient for the flow styles, straight at the layer angle otherwise
+    async traceHatchLines(width, height, options, layers, threshold) {
+        const { interval = 10, showProgress = true, hatchAngle = 0 } = options;
+        const { style, engraving } = resolveHatchStyle(options);
+        const gradient = style === 'straight'
+            ? null
+            : this.computeDistanceFieldGradient(signedSeedDistance(this.solution, width, height), width, height);
+        const checkpoint = async () => {
+            await this.checkPause();
+            if (this.isCancelled) throw new Error('Cancelled by user');
+            await this.yieldToBrowser();
+        };
+
+        const lines = [];
+        for (let pass = 0; pass < layers.length; pass++) {
+            const layer = layers[pass];
+            const angle = (layer.angle + hatchAngle + (style === 'contour' ? 90 : 0)) * Math.PI / 180;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+
+            const directionAt = (x, y, line) => {
+                const ix = Math.floor(x);
+                const iy = Math.floor(y);
+                if (ix < 1 || ix >= width - 1 || iy < 1 || iy >= height - 1) return null;
+                const idx = iy * width + ix;
+                if (!(this.grayData[idx] < hatchLineThreshold(layer, threshold, line))) return null;
+                if (!gradient) return { x: cos, y: sin };
+                const mag = gradient.gradMag[idx];
+                if (!(mag >= 0.001 && mag < Infinity)) return null;
+                const gx = gradient.gradX[idx] / mag;
+                const gy = gradient.gradY[idx] / mag;
+                return { x: gx * cos - gy * sin, y: gx * sin + gy * cos };
+            };
+
+            const paths = await traceEvenStreamlines(directionAt, this.grayData, width, height, {
+                interval: interval * layer.spacing,
+                toneSpacing: engraving === 'spacing' ? 1 : 0,
+                testRatio: HATCH_TEST_RATIO,
+                seed: pass + 1, // Fixed, as hatch mode takes no random seed
+                checkpoint,
+                onProgress: (fraction) => this.updateProgress(showProgress, 60 + (pass + fraction) / layers.length * 30, `Hatching (Layer ${pass + 1})...`)
+            });
+            for (const path of paths) {
+                path.layer = pass;
+                lines.push(path);
+            }
+        }
+        return lines;
+    }
+
+    postProcessPaths(paths, options) {
+        const {
+            contourSmoothness = 0.5,
+            simplification = 1.0,
+            optimizePath = true,
+            minPathLength = 5,
+            splineResolution = 4
+        } = options;
+
+        let processed = paths;
+
+        // 1. Noise Filter (Length)
+        processed = processed.filter(p => this.getPathLength(p) > minPathLength);
+        processed = processed.map(p => this.keepLayer(p, this.validatePath(p))).filter(p => p.length > 0);
+
+        // 2. Simplify (RDP)
+        // Always apply some simplification to remove pixel-stepping artifacts
+        const epsilon = Math.max(0.5, simplification);
+        processed = processed.map(p => this.keepLayer(p, this.simplifyPath(p, epsilon)));
+        processed = processed.map(p => this.keepLayer(p, this.validatePath(p))).filter(p => p.length > 0);
+
+        // 3. Smoothing (Catmull-Rom Spline)
+        if (contourSmoothness > 0.1) {
+            // Adjust tension based on smoothness (0.1 to 1.0 -> tension 0.1 to 1.0)
+            // Higher tension = tighter curves, less overshooting
+            // We want 'smooth' so standard 0.5 is good.
+            processed = processed.map(p => this.keepLayer(p, this.getSplinePoints(p, splineResolution, 0.5)));
+            processed = processed.map(p => this.keepLayer(p, this.validatePath(p))).filter(p => p.length > 0);
+        }
+
+        // 4. Path Optimization (TSP-Lite)
+        if (optimizePath) {
+            processed = this.optimizePathOrder(processed);
+        }
+
+        return processed;
+    }
+
+    // Copy a path's layer tag onto a derived path (simplified, smoothed, reversed...)
+    keepLayer(source, target) {
+        if (source.layer !== undefined) target.layer = source.layer;
+        return target;
+    }
+
+    // Group paths by layer tag, in ascending layer order
+    groupPathsByLayer(paths) {
+        const groups = new Map();
+        for (const path of paths) {
+            const layer = path.layer || 0;
+            if (!groups.has(layer)) groups.set(layer, []);
+            groups.get(layer).push(path);
+        }
+        return new Map([...groups.entries()].sort((a, b) => a[0] - b[0]));
+    }
+
+    // Stroke for a layer: the palette entry when one is set, otherwise the global line style.
+    // blend is a CSS blend mode for layers drawn as ink over the others (color separation).
+    getLayerStyle(layer, lineColor, lineWidth) {
+        const entry = this.layerPalette && this.layerPalette[layer];
+        return {
+            color: (entry && entry.color) || lineColor,
+            width: (entry && entry.width > 0) ? entry.width : lineWidth,
+            blend: (entry && entry.blend) || null
+        };
+    }
+
+    getLayerName(layer) {
+        return this.layerNames[layer] || `Layer ${layer + 1}`;
+    }
+
+    getSVGPathData(path) {
+        const validPoints = this.validatePath(path);
+        if (validPoints.length < 2) return null;
+
+        // Start path at first point
+        let pathData = `M${validPoints[0].x.toFixed(2)},${validPoints[0].y.toFixed(2)}`;
+
+        if (validPoints.length === 2) {
+            // Simple line for 2-point paths
+            pathData += ` L${validPoints[1].x.toFixed(2)},${validPoints[1].y.toFixed(2)}`;
+        } else {
+            // Smooth with quadratic Bézier curves (same as canvas rendering)
+            for (let i = 1; i < validPoints.length - 2; i++) {
+                const xc = (validPoints[i].x + validPoints[i + 1].x) / 2;
+                const yc = (validPoints[i].y + validPoints[i + 1].y) / 2;
+                pathData += ` Q${validPoints[i].x.toFixed(2)},${validPoints[i].y.toFixed(2)} ${xc.toFixed(2)},${yc.toFixed(2)}`;
+            }
+
+            // Last segment
+            const i = validPoints.length - 2;
+            pathData += ` Q${validPoints[i].x.toFixed(2)},${validPoints[i].y.toFixed(2)} ${validPoints[validPoints.length - 1].x.toFixed(2)},${validPoints[validPoints.length - 1].y.toFixed(2)}`;
+        }
+
+        return pathData;
+    }
+
+    // Render-time styling that can change without re-extracting paths
+    applyStyleOptions(options) {
+        const palette = options.layerPalette || null;
+        this.layerPalette = this.layerStyles
+            ? this.layerStyles.map((style, i) => style || (palette && palette[i]) || null)
+            : palette;
+        // Tapered streamline ends are outlines as well, at the full width between the ends unless
+        // tone-based line weight is on too
+        const taper = options.mode === 'streamlines' && options.streamlineTaper
+            ? (options.interval ?? defaultOptions.interval) * STREAMLINE_TAPER
+            : 0;
+        // Width-engraved hatching is tone-based line weight
+        const toneWeight = options.variableWidth || (options.mode === 'hatch' && options.hatchEngraving === 'width');
+        this.variableWidth = toneWeight || taper > 0
+            ? { min: toneWeight ? options.minLineWidth ?? defaultOptions.minLineWidth : Infinity, taper }
+            : null;
+        this.pathColoring = this.resolvePathColoring(options);
+        this.pathPaints = new WeakMap();
+    }
+
+    // pathPaint settings for options.pathColoring, or null when paths take their layer's colour
+    resolvePathColoring(options) {
+        const mode = options.pathColoring || 'none';
+        if (!PATH_COLORINGS.includes(mode)) {
+            throw new Error(`Unknown path coloring "${mode}". Available: ${PATH_COLORINGS.join(', ')}`);
+        }
+        if (mode === 'none') return null;
+        const { width, height } = this;
+        if (mode === 'colormap') {
+            if (!this.solution) throw new Error('Colormap coloring needs the distance field; regenerate without tiling');
+            const colormap = resolveColormap(options);
+            return { mode, width, height, solution: this.solution, maxTime: fieldRange(this.solution).max, colormap };
+        }
+        if (!this.imageData) throw new Error('Source image coloring needs the image; regenerate without tiling');
+        return { mode, width, height, imageData: this.imageData };
+    }
+
+    // Paint of one path under the current path coloring (see pathPaint), null for the layer colour
+    getPathPaint(path) {
+        if (!this.pathColoring) return null;
+        let paint = this.pathPaints.get(path);
+        if (!paint) {
+            paint = pathPaint(path, this.pathColoring);
+            this.pathPaints.set(path, paint);
+        }
+        return paint;
+    }
+
+    // Presentation attributes for a group of paths drawn with one color and (maximum) width
+    getSVGGroupAttributes(color, width) {
+        if (this.variableWidth) {
+            return `fill="${color}" stroke="none"`;
+        }
+        return `stroke="${color}" stroke-width="${width}" fill="none" stroke-linecap="round" stroke-linejoin="round"`;
+    }
+
+    // What a colored path is drawn as: its pieces under 'gradient' coloring, else the whole path
+    // in its one colour (see pathPaint)
+    getPaintedPieces(path) {
+        const paint = this.getPathPaint(path);
+        return paint.pieces || [{ path, color: paint.color, span: null }];
+    }
+
+    getSVGPathElement(path, width, animation = null) {
+        const timing = animation ? animation.timings.get(path) : null;
+        if (!this.pathColoring) return this.getSVGShapeElement(path, width, null, null, animation, timing);
+
+        // Pieces of a drawn path are revealed one after another over the path's reveal window
+        return this.getPaintedPieces(path).map(({ path: piece, color, span }) => {
+            const pieceTiming = timing && span && timing.kind !== 'fade'
+                ? {
+                    ...timing,
+                    start: timing.start + (timing.end - timing.start) * span.start / span.total,
+                    end: timing.start + (timing.end - timing.start) * span.end / span.total
+                }
+                : timing;
+            return this.getSVGShapeElement(piece, width, color, span, animation, pieceTiming);
+        }).join('');
+    }
+
+    // One <path>: color (stroke, or fill for variable-width outlines) overrides the group's when
+    // given; span places a piece along its whole path for tapered ends
+    getSVGShapeElement(path, width, color, span, animation, timing) {
+        const pathData = this.variableWidth
+            ? this.getOutlinePathData(this.getVariableWidthOutline(path, this.variableWidth.min, width, 6, span))
+            : this.getSVGPathData(path);
+        if (!pathData) return '';
+        const paint = color ? ` ${this.variableWidth ? 'fill' : 'stroke'}="${color}"` : '';
+        if (!animation) return `\n    <path d="${pathData}"${paint}/>`;
+        return `\n    <path d="${pathData}"${paint}${this.getSVGAnimation(timing, animation)}</path>`;
+    }
+
+    // Reveal windows for this.contours; composition paths follow the mode of the region owning them
+    getRevealSchedule(options) {
+        const regions = options.regions && options.regions.length > 0 ? options.regions : null;
+        const owner = regions ? createRegionOwner(regions, this.width, this.height) : null;
+        const modeOf = path => {
+            if (!owner) return options.mode;
+            const middle = path[Math.floor(path.length / 2)];
+            const k = owner(middle.x, middle.y);
+            return k < 0 ? options.mode : resolveRegionOptions(options, regions[k]).mode;
+        };
+        return buildRevealSchedule(this.contours, this.solution, this.width, this.height, modeOf);
+    }
+
+    // SMIL reveal for one path (reveal is its window from animation.timings): attributes closing the <path> start tag plus an <animate> child.
+    // Drawn paths animate their dash offset over a normalised pathLength, faded paths (and
+    // variable-width outlines, which are fills) their opacity. Static viewers show the finished art.
+    getSVGAnimation(reveal, animation) {
+        const { kind, start, end } = reveal;
+        const span = animation.loop ? 1 + ANIMATION_LOOP_HOLD : 1;
+        const fade = kind === 'fade' || this.variableWidth;
+        const [attribute, hidden, shown] = fade ? ['opacity', 0, 1] : ['stroke-dashoffset', 1, 0];
+
+        const keys = [];
+        for (const [time, value] of [[0, hidden], [easeInverse(animation.ease, start) / span, hidden], [easeInverse(animation.ease, end) / span, shown], [1, shown]]) {
+            const rounded = Math.round(Math.min(1, time) * 10000) / 10000;
+            if (keys.length === 0 || rounded > keys[keys.length - 1][0]) keys.push([rounded, value]);
+        }
+
+        const timing = `dur="${(animation.duration * span).toFixed(2)}s" ${animation.loop ? 'repeatCount="indefinite"' : 'fill="freeze"'}`;
+        const animate = `<animate attributeName="${attribute}" values="${keys.map(k => k[1]).join(';')}" keyTimes="${keys.map(k => k[0]).join(';')}" ${timing}/>`;
+        return `${fade ? '' : ' pathLength="1" stroke-dasharray="1 1"'}>${animate}`;
+    }
+
+    // SMIL-animated SVG of the current artwork growing along the wavefront (animation as in
+    // defaultAnimationOptions)
+    getAnimatedSVG(options, animation = {}) {
+        const settings = { ...defaultAnimationOptions, ...animation };
+        if (!this.solution) throw new Error('Animation needs the distance field; regenerate the artwork first');
+
+        const schedule = this.getRevealSchedule(options);
+        const timings = new Map(this.contours.map((path, i) => [path, schedule[i]]));
+        this.applyStyleOptions(options);
+        return this.getSVG(this.width, this.height, options.lineColor, options.lineWidth, options.antiAlias, {
+            timings,
+            ease: resolveEasing(settings.easing),
+            duration: settings.duration,
+            loop: settings.loop
+        });
+    }
+
+    // Millimetres when the artwork was made at a print size, pixels otherwise; the viewBox stays in pixels
+    getSVGSizeAttributes(width, height) {
+        if (this.print) {
+            return `width="${+this.print.widthMM.toFixed(3)}mm" height="${+this.print.heightMM.toFixed(3)}mm"`;
+        }
+        return `width="${width}" height="${height}"`;
+    }
+
+    // animation (optional) animates every path, see getAnimatedSVG
+    getSVG(width, height, lineColor, lineWidth, antiAlias, animation = null) {
+        const groups = this.groupPathsByLayer(this.contours.filter(path => path && path.length >= 2));
+
+        // Single-layer artwork keeps the plain one-group layout, unless its layer has its own style
+        const [firstLayer] = groups.keys();
+        if (groups.size === 0 || (groups.size === 1 && !(this.layerStyles && this.layerStyles[firstLayer]))) {
+            let svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" ${this.getSVGSizeAttributes(width, height)} viewBox="0 0 ${width} ${height}">
+  <rect width="${width}" height="${height}" fill="white"/>
+  <g ${this.getSVGGroupAttributes(lineColor, lineWidth)}>`;
+            for (const path of this.contours) {
+                if (!path || path.length < 2) continue;
+                svg += this.getSVGPathElement(path, lineWidth, animation);
+            }
+
+            svg += '\n  </g>\n</svg>';
+            return svg;
+        }
+
+        // One Inkscape layer per path layer, so each can be plotted with its own pen
+        let svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ${this.getSVGSizeAttributes(width, height)} viewBox="0 0 ${width} ${height}">
+  <rect width="${width}" height="${height}" fill="white"/>`;
+
+        for (const [layer, paths] of groups) {
+            const style = this.getLayerStyle(layer, lineColor, lineWidth);
+            const blend = style.blend ? ` style="mix-blend-mode:${style.blend}"` : '';
+            svg += `\n  <g id="layer${layer + 1}" inkscape:groupmode="layer" inkscape:label="${escapeXml(this.getLayerName(layer))}" ${this.getSVGGroupAttributes(style.color, style.width)}${blend}>`;
+            for (const path of paths) {
+                svg += this.getSVGPathElement(path, style.width, animation);
+            }
+            svg += '\n  </g>';
+        }
+
+        svg += '\n</svg>';
+        return svg;
+    }
+
+    // ============================================
+    // VARIABLE LINE WEIGHT
+    // ============================================
+
+    // Stroke width from the processed tone under a point: dark (low) values get maxWidth
+    toneWidth(p, minWidth, maxWidth) {
+        if (!this.grayData) return maxWidth;
+        const x = Math.max(0, Math.min(this.width - 1, Math.floor(p.x)));
+        const y = Math.max(0, Math.min(this.height - 1, Math.floor(p.y)));
+        const tone = this.grayData[y * this.width + x];
+        return minWidth + (1 - tone) * (maxWidth - minWidth);
+    }
+
+    // Closed outline of a path stroked with tone-dependent width, tapered ends and round caps. Canvas and
+    // SVG both fill this same polygon, so the preview and the export match exactly.
+    // span ({ start, total }) places a piece of a longer path along it, so tapered ends stay at
+    // the ends of the whole path
+    getVariableWidthOutline(path, minWidth, maxWidth, capSteps = 6, span = null) {
+        const points = this.validatePath(path);
+        const n = points.length;
+        if (n < 2) return [];
+
+        minWidth = Math.min(minWidth, maxWidth);
+        const widths = points.map(p => this.toneWidth(p, minWidth, maxWidth) / 2);
+        // Light smoothing so single noisy pixels don't pinch the stroke
+        const half = widths.map((w, i) => (widths[Math.max(0, i - 1)] + 2 * w + widths[Math.min(n - 1, i + 1)]) / 4);
+
+        // Tapered ends thin to a point over the taper length from either end
+        const taper = this.variableWidth ? this.variableWidth.taper : 0;
+        if (taper > 0) {
+            const along = [span ? span.start : 0];
+            for (let i = 1; i < n; i++) {
+                along.push(along[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+            }
+            const total = span ? span.total : along[n - 1];
+            for (let i = 0; i < n; i++) {
+                half[i] *= Math.min(1, along[i] / taper, (total - along[i]) / taper);
+            }
+        }
+
+        const left = [];
+        const right = [];
+        const normals = [];
+        let last = { x: 0, y: 1 };
+        for (let i = 0; i < n; i++) {
+            const a = points[Math.max(0, i - 1)];
+            const b = points[Math.min(n - 1, i + 1)];
+            const len = Math.hypot(b.x - a.x, b.y - a.y);
+            const normal = len > 1e-9 ? { x: -(b.y - a.y) / len, y: (b.x - a.x) / len } : last;
+            last = normal;
+            normals.push(normal);
+            left.push({ x: points[i].x + normal.x * half[i], y: points[i].y + normal.y * half[i] });
+            right.push({ x: points[i].x - normal.x * half[i], y: points[i].y - normal.y * half[i] });
+        }
+
+        // Semicircle from +normal to -normal around `center`, bulging to the normal's right
+        const cap = (center, normal, h) => {
+            const tangent = { x: normal.y, y: -normal.x };
+            const arc = [];
+            for (let k = 1; k < capSteps; k++) {
+                const theta = (Math.PI * k) / capSteps;
+                arc.push({
+                    x: center.x + h * (normal.x * Math.cos(theta) + tangent.x * Math.sin(theta)),
+                    y: center.y + h * (normal.y * Math.cos(theta) + tangent.y * Math.sin(theta))
+                });
+            }
+            return arc;
+        };
+
+        const endNormal = normals[n - 1];
+        const startNormal = { x: -normals[0].x, y: -normals[0].y };
+        return [
+            ...left,
+            ...cap(points[n - 1], endNormal, half[n - 1]),
+            ...right.reverse(),
+            ...cap(points[0], startNormal, half[0])
+        ];
+    }
+
+    getOutlinePathData(outline) {
+        if (outline.length < 3) return null;
+        let pathData = `M${outline[0].x.toFixed(2)},${outline[0].y.toFixed(2)}`;
+        for (let i = 1; i < outline.length; i++) {
+            pathData += ` L${outline[i].x.toFixed(2)},${outline[i].y.toFixed(2)}`;
+        }
+        return pathData + ' Z';
+    }
+
+    // ============================================
+    // PEN PLOTTER EXPORT (G-CODE / HPGL)
+    // ============================================
+
+    // Convert paths to millimetres and order them to minimise pen-up travel, one layer
+    // (pen) at a time. Paths whose gap is within mergeDistance are drawn without lifting the pen.
+    preparePlotterPaths(options) {
+        const { mmPerPixel, flipY, mergeDistance } = options;
+        const heightMm = this.height * mmPerPixel;
+        const prepared = [];
+
+        for (const [layer, paths] of this.groupPathsByLayer(this.contours)) {
+            const scaled = paths
+                .map(path => this.validatePath(path))
+                .filter(path => path.length >= 2)
+                .map(path => path.map(p => ({
+                    x: p.x * mmPerPixel,
+                    y: flipY ? heightMm - p.y * mmPerPixel : p.y * mmPerPixel
+                })));
+
+            const merged = [];
+            for (const path of this.optimizePathOrder(scaled)) {
+                const last = merged[merged.length - 1];
+                if (mergeDistance > 0 && last && this.pointDistance(last[last.length - 1], path[0]) <= mergeDistance) {
+                    last.push(...path);
+                } else {
+                    const copy = [...path];
+                    copy.layer = layer;
+                    merged.push(copy);
+                }
+            }
+            prepared.push(...merged);
+        }
+        return prepared;
+    }
+
+    // Pen lifts, draw/travel distance and time for an ordered list of plotter paths
+    estimatePlot(paths, options) {
+        const { drawFeedRate, travelFeedRate, penMoveTime, penDelay } = options;
+        const origin = { x: 0, y: 0 };
+        let drawDistance = 0;
+        let travelDistance = 0;
+        let position = origin;
+
+        for (const path of paths) {
+            travelDistance += this.pointDistance(position, path[0]);
+            drawDistance += this.getPathLength(path);
+            position = path[path.length - 1];
+        }
+        travelDistance += this.pointDistance(position, origin);
+
+        const penLifts = paths.length;
+        const estimatedSeconds = (drawDistance / drawFeedRate) * 60 +
+            (travelDistance / travelFeedRate) * 60 +
+            penLifts * 2 * (penMoveTime + penDelay);
+
+        return { paths: paths.length, penLifts, drawDistance, travelDistance, estimatedSeconds };
+    }
+
+    getGCode(options = {}) {
+        const opts = { ...defaultPlotterOptions, ...options };
+        const paths = this.preparePlotterPaths(opts);
+        const stats = this.estimatePlot(paths, opts);
+        this.plotStats = stats;
+
+        const fmt = v => v.toFixed(opts.decimals);
+        // G4 P takes milliseconds (Marlin); penDelay is in seconds like the other timings
+        const dwell = opts.penDelay > 0 ? [`G4 P${Math.round(opts.penDelay * 1000)}`] : [];
+        const lines = [
+            '; Marching Waves G-code',
+            `; ${stats.paths} paths, ${stats.penLifts} pen lifts`,
+            `; draw ${fmt(stats.drawDistance)}mm, travel ${fmt(stats.travelDistance)}mm, est. ${formatDuration(stats.estimatedSeconds)}`,
+            'G21 ; millimetres',
+            'G90 ; absolute positioning',
+            opts.penUp,
+            ...dwell
+        ];
+
+        let currentLayer = paths.length > 0 ? paths[0].layer : 0;
+        const multiLayer = paths.some(path => path.layer !== currentLayer);
+        if (multiLayer) lines.push(`; ${this.getLayerName(currentLayer)}`);
+
+        for (const path of paths) {
+            if (path.layer !== currentLayer) {
+                // Park and pause for a pen change between layers
+                currentLayer = path.layer;
+                lines.push(`G1 X0 Y0 F${opts.travelFeedRate}`, `; ${this.getLayerName(currentLayer)}`);
+                if (opts.layerChange) lines.push(opts.layerChange);
+            }
+            lines.push(`G1 X${fmt(path[0].x)} Y${fmt(path[0].y)} F${opts.travelFeedRate}`);
+            lines.push(opts.penDown, ...dwell);
+            lines.push(`G1 X${fmt(path[1].x)} Y${fmt(path[1].y)} F${opts.drawFeedRate}`);
+            for (let i = 2; i < path.length; i++) {
+                lines.push(`G1 X${fmt(path[i].x)} Y${fmt(path[i].y)}`);
+            }
+            lines.push(opts.penUp, ...dwell);
+        }
+
+        lines.push(`G1 X0 Y0 F${opts.travelFeedRate}`);
+        return lines.join('\n') + '\n';
+    }
+
+    getHPGL(options = {}) {
+        const opts = { ...defaultPlotterOptions, ...options };
+        const paths = this.preparePlotterPaths(opts);
+        const stats = this.estimatePlot(paths, opts);
+        this.plotStats = stats;
+
+        // HPGL plotter units are 0.025mm; VS takes cm/s
+        const unit = v => Math.round(v * 40);
+        const velocity = Math.max(0.4, Math.min(38, opts.drawFeedRate / 600));
+        // Layer n goes to pen carousel slot pen + n, wrapping around after the last slot
+        const penCount = Math.max(1, Math.floor(opts.penCount));
+        const penFor = layer => ((opts.pen - 1 + layer) % penCount) + 1;
+        let currentLayer = paths.length > 0 ? paths[0].layer : 0;
+        const commands = ['IN', `SP${penFor(currentLayer)}`, `VS${velocity.toFixed(1)}`];
+
+        for (const path of paths) {
+            if (path.layer !== currentLayer) {
+                currentLayer = path.layer;
+                commands.push(`SP${penFor(currentLayer)}`);
+            }
+            commands.push(`PU${unit(path[0].x)},${unit(path[0].y)}`);
+            // Chunk long strokes to stay within typical plotter buffer limits
+            for (let i = 1; i < path.length; i += 64) {
+                const coords = path.slice(i, i + 64).map(p => `${unit(p.x)},${unit(p.y)}`);
+                commands.push(`PD${coords.join(',')}`);
+            }
+        }
+
+        commands.push('PU0,0', 'SP0');
+        return commands.join(';\n') + ';\n';
+    }
+
+    // ============================================
+    // PHASE 1: ADAPTIVE CONTOUR EXTRACTION MODULES
+    // ============================================
+
+    computeEdgeMap(imageData, width, height) {
+        const gray = this.toGrayscale(imageData);
+        const edges = new Float32Array(width * height);
+
+        const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
+        const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                let gx = 0, gy = 0;
+
+                for (let ky = -1; ky <= 1; ky++) {
+                    for (let kx = -1; kx <= 1; kx++) {
+                        const idx = ((y + ky) * width + (x + kx));
+                        const weight = gray[idx];
+                        const sxIdx = (ky + 1) * 3 + (kx + 1);
+                        gx += sobelX[sxIdx] * weight;
+                        gy += sobelY[sxIdx] * weight;
+                    }
+                }
+
+                edges[y * width + x] = Math.sqrt(gx * gx + gy * gy);
+            }
+        }
+
+        // Normalize
+        let maxEdge = 0;
+        for (let i = 0; i < edges.length; i++) {
+            if (edges[i] > maxEdge) maxEdge = edges[i];
+        }
+        if (maxEdge > 0) {
+            for (let i = 0; i < edges.length; i++) {
+                edges[i] /= maxEdge;
+            }
+        }
+
+        return edges;
+    }
+
+    computeDistanceFieldGradient(solution, width, height) {
+        return distanceFieldGradient(solution, width, height);
+    }
+
+     generateAdaptiveLevels(solution, width, height, interval, minVal, maxVal, gradMag) {
+         const levels = [];
+         const range = maxVal - minVal;
+
+         // Calculate how many levels we'd get with fixed intervals
+         const fixedLevelCount = Math.floor(range / interval);
+
+         // If range is small or gradient is weak, use original approach
+         if (range < interval * 3 || fixedLevelCount < 3) {
+             // Use original marching squares logic - guaranteed to work
+             for (let l = minVal + interval; l < maxVal; l += interval) {
+                 levels.push(l);
+             }
+             console.log('Using original level generation:', levels.length, 'levels');
+             return levels;
+         }
+
+         // Otherwise use adaptive approach (for better detail preservation)
+         const maxIterations = Math.min(5000, fixedLevelCount * 2);
+         const minAdaptiveInterval = Math.max(interval * 0.3, 0.15); // Increased minimum interval
+         const maxAdaptiveInterval = interval * 2.0; // Added maximum interval limit
+         let currentLevel = minVal + interval;
+         let iterations = 0;
+
+         // Memory-efficient gradient normalization (no array spread to avoid stack overflow)
+         let maxGrad = 0;
+         let gradSumTotal = 0;
+         let validGradCount = 0;
+         for (let i = 0; i < gradMag.length; i++) {
+             if (gradMag[i] > maxGrad) maxGrad = gradMag[i];
+             if (gradMag[i] > 0) {
+                 gradSumTotal += gradMag[i];
+                 validGradCount++;
+             }
+         }
+         const gradNormalization = 1 / (maxGrad || 1);
+         const avgGradient = validGradCount > 0 ? gradSumTotal / validGradCount : 0.5;
+
+         console.log('Adaptive contours - Gradient stats:', {
+             maxGrad: maxGrad.toFixed(3),
+             avgGrad: avgGradient.toFixed(3),
+             range: range.toFixed(2),
+             fixedLevelCount: fixedLevelCount
+         });
+
+         while (currentLevel < maxVal && iterations < maxIterations) {
+             iterations++;
+             levels.push(currentLevel);
+
+             // Compute average gradient in the region around this level
+             let gradSum = 0;
+             let count = 0;
+
+             for (let y = 1; y < height - 1; y++) {
+                 for (let x = 1; x < width - 1; x++) {
+                     const idx = y * width + x;
+                     if (solution[idx] >= Infinity) continue;
+
+                     const levelDist = Math.abs(solution[idx] - currentLevel);
+                     if (levelDist < interval * 2) {
+                         gradSum += gradMag[idx] * gradNormalization;
+                         count++;
+                     }
+                 }
+             }
+
+             const avgGrad = count > 0 ? gradSum / count : avgGradient;
+             
+             // Improved adaptation formula - more conservative and bounded
+             // This prevents extreme interval variations that can cause issues
+             const adaptFactorBase = 0.8 + 0.2 * Math.exp(-avgGrad * 1.5); // Less aggressive adaptation
+             const adaptFactor = Math.max(0.5, Math.min(1.5, adaptFactorBase)); // Bound the factor
+             const nextInterval = Math.max(minAdaptiveInterval, Math.min(maxAdaptiveInterval, interval * adaptFactor));
+
+             console.log(`Level ${iterations}: ${currentLevel.toFixed(2)} -> interval: ${nextInterval.toFixed(3)}, grad: ${avgGrad.toFixed(3)}, factor: ${adaptFactor.toFixed(3)}`);
+
+             currentLevel += nextInterval;
+         }
+
+         // Improved fallback logic - more nuanced decision
+         const minimumLevels = Math.min(5, Math.max(3, Math.floor(fixedLevelCount * 0.3)));
+         if (levels.length < minimumLevels) {
+             console.warn(`Adaptive level generation produced too few levels (${levels.length} < ${minimumLevels}), falling back to original`);
+             levels.length = 0;
+             for (let l = minVal + interval; l < maxVal; l += interval) {
+                 levels.push(l);
+             }
+         }
+
+         console.log('Adaptive level generation:', levels.length, 'levels from range', range.toFixed(2), 'avg interval:', levels.length > 1 ? (range / levels.length).toFixed(3) : 'N/A');
+         return levels;
+     }
+
+    snapToEdge(x, y, targetLevel, edgeMap, solution, width, height, edgeSensitivity, interval) {
+        // Only snap if edge sensitivity is high enough
+        if (edgeSensitivity < 0.3) return { x, y };
+
+        // Reduced search radius for more conservative snapping
+        const searchRadius = Math.max(1, Math.floor(2 * edgeSensitivity));
+        let bestLevelDist = Infinity;
+        let bestPoint = { x, y };
+
+        for (let dy = -searchRadius; dy <= searchRadius; dy++) {
+            for (let dx = -searchRadius; dx <= searchRadius; dx++) {
+                const nx = Math.round(x + dx);
+                const ny = Math.round(y + dy);
+
+                if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+                const edgeIdx = ny * width + nx;
+                const levelIdx = ny * width + nx;
+
+                // Only consider strong edge pixels
+                if (edgeMap[edgeIdx] > 0.4) {
+                    const levelDist = Math.abs(solution[levelIdx] - targetLevel);
+                    // Only snap if very close to target level
+                    if (levelDist < bestLevelDist && levelDist < interval * 0.5) {
+                        bestLevelDist = levelDist;
+                        bestPoint = { x: nx, y: ny };
+                    }
+                }
+            }
+        }
+
+        return bestPoint;
+    }
+
+    // ============================================
+    // PHASE 2: TOPOLOGY IMPROVEMENTS MODULES
+    // ============================================
+
+    buildSpatialIndex(segments, width, height) {
+        // At least 10 cells a side, and no cell wider than 64px so large (tiled) images stay fast
+        const gridSize = Math.max(10, Math.ceil(Math.max(width, height) / 64));
+        const cellWidth = Math.ceil(width / gridSize);
+        const cellHeight = Math.ceil(height / gridSize);
+        const grid = Array(gridSize * gridSize).fill().map(() => []);
+
+        segments.forEach((seg, index) => {
+            const cellX = Math.min(gridSize - 1, Math.floor(seg.x1 / cellWidth));
+            const cellY = Math.min(gridSize - 1, Math.floor(seg.y1 / cellHeight));
+            const cellIdx = cellY * gridSize + cellX;
+            grid[cellIdx].push(index);
+        });
+
+        return {
+            query: (x, y, radius) => {
+                const results = [];
+                const minCellX = Math.max(0, Math.floor((x - radius) / cellWidth));
+                const maxCellX = Math.min(gridSize - 1, Math.floor((x + radius) / cellWidth));
+                const minCellY = Math.max(0, Math.floor((y - radius) / cellHeight));
+                const maxCellY = Math.min(gridSize - 1, Math.floor((y + radius) / cellHeight));
+
+                for (let cy = minCellY; cy <= maxCellY; cy++) {
+                    for (let cx = minCellX; cx <= maxCellX; cx++) {
+                        results.push(...grid[cy * gridSize + cx]);
+                    }
+                }
+                return results;
+            },
+            grid,
+            gridSize,
+            cellWidth,
+            cellHeight
+        };
+    }
+
+    pointDistance(p1, p2) {
+        if (!p1 || !p2 || p1.x === undefined || p1.y === undefined || p2.x === undefined || p2.y === undefined) {
+            return Infinity;
+        }
+        const dx = p1.x - p2.x;
+        const dy = p1.y - p2.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    smoothPath(path, smoothness = 0.5) {
+        if (path.length < 3) return path;
+
+        const smoothed = [];
+        const kernelSize = Math.max(1, Math.floor(smoothness * 3));
+
+        for (let i = 0; i < path.length; i++) {
+            let x = 0, y = 0, weightSum = 0;
+
+            for (let j = -kernelSize; j <= kernelSize; j++) {
+                const idx = i + j;
+                if (idx >= 0 && idx < path.length) {
+                    const weight = 1 - Math.abs(j) / (kernelSize + 1);
+                    x += path[idx].x * weight;
+                    y += path[idx].y * weight;
+                    weightSum += weight;
+                }
+            }
+
+            smoothed.push({
+                x: x / weightSum,
+                y: y / weightSum
+            });
+        }
+
+        return smoothed;
+    }
+
+    // ============================================
+    // PHASE 1: ADAPTIVE CONTOUR EXTRACTION
+    // ============================================
+
+    async extractContoursAdaptive(width, height, interval, maxSegments, skipJoining, showProgress, lineColor, lineWidth, options, bounds = null) {
+        const {
+            edgeGuidance = true,
+            edgeSensitivity = 0.7,
+            detailLevel = 0.8,
+            contourSmoothness = 0.5
+        } = options;
+
+        // `bounds` is a region selection ({ x, y, w, h } with an optional coverage mask). Levels
+        // always come from the whole field so region contours continue the existing ones, while
+        // marching squares only visits the region's box and clips its segments to the region.
+        let scanStartX = 0, scanEndX = width;
+        let scanStartY = 0, scanEndY = height;
+        const inside = bounds ? createRegionTest(bounds, width, height) : null;
+
+        if (bounds) {
+            scanStartX = Math.max(0, Math.floor(bounds.x) - 1);
+            scanEndX = Math.min(width, Math.ceil(bounds.x + bounds.w) + 1);
+            scanStartY = Math.max(0, Math.floor(bounds.y) - 1);
+            scanEndY = Math.min(height, Math.ceil(bounds.y + bounds.h) + 1);
+        }
+
+        const validValues = [];
+        for (let i = 0; i < this.solution.length; i++) {
+            if (this.solution[i] < Infinity) {
+                validValues.push(this.solution[i]);
+            }
+        }
+
+        if (validValues.length === 0) {
+            return { contours: [], raw: [], skippedJoining: false };
+        }
+
+        const rawContours = [];
+        let min = Infinity;
+        let max = -Infinity;
+
+        for (let i = 0; i < validValues.length; i++) {
+            const v = validValues[i];
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+
+        // Compute edge map and gradient for adaptive processing
+        // Note: edgeMap/gradient are global. If we rerun, we assume imageData hasn't changed.
+        const edgeMap = edgeGuidance ? this.computeEdgeMap(this.imageData, width, height) : null;
+        const { gradMag } = this.computeDistanceFieldGradient(this.solution, width, height);
+
+        // Generate adaptive levels based on gradient magnitude
+        const levels = this.generateAdaptiveLevels(this.solution, width, height, interval, min, max, gradMag);
+
+        const safeGet = (x, y) => {
+            if (x < 0 || x >= width || y < 0 || y >= height) return Infinity;
+            return this.solution[y * width + x];
+        };
+
+        const interp = (v1, v2, level) => {
+            if (v1 === Infinity || v2 === Infinity) return 0.5;
+            const diff = v2 - v1;
+            if (Math.abs(diff) < 0.00001) return 0.5;
+            return Math.max(0, Math.min(1, (level - v1) / diff));
+        };
+
+        const batchSize = 5000;
+        let processed = 0;
+
+        // Clear canvas once before processing all levels (live preview accumulation)
+        // If bounds set, we only clear the region? Or assume caller handles it.
+        if (this.livePreviewEnabled && this.livePreviewManager && !bounds) {
+            this.livePreviewManager.renderRawSegments([], width, height, lineColor, lineWidth, true);
+        }
+
+        // Determine loop limits for marching squares
+        const loopStartX = scanStartX;
+        const loopEndX = Math.min(width - 1, scanEndX); // Marching squares needs x+1
+        const loopStartY = scanStartY;
+        const loopEndY = Math.min(height - 1, scanEndY);
+
+        for (const level of levels) {
+            let levelLines = [];
+
+            for (let y = loopStartY; y < loopEndY; y++) {
+                for (let x = loopStartX; x < loopEndX; x++) {
+                    const v00 = safeGet(x, y);
+                    const v10 = safeGet(x + 1, y);
+                    const v01 = safeGet(x, y + 1);
+                    const v11 = safeGet(x + 1, y + 1);
+
+                    let code = 0;
+                    if (v00 >= level) code |= 1;
+                    if (v10 >= level) code |= 2;
+                    if (v01 >= level) code |= 4;
+                    if (v11 >= level) code |= 8;
+
+                    const lines = [];
+                    const addLine = (x1, y1, x2, y2) => {
+                        // Apply edge snapping if enabled
+                        if (edgeGuidance && edgeSensitivity > 0.1) {
+                            const p1 = this.snapToEdge(x + x1, y + y1, level, edgeMap, this.solution, width, height, edgeSensitivity, interval);
+                            const p2 = this.snapToEdge(x + x2, y + y2, level, edgeMap, this.solution, width, height, edgeSensitivity, interval);
+                            lines.push({ x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y });
+                        } else {
+                            lines.push({ x1: x + x1, y1: y + y1, x2: x + x2, y2: y + y2 });
+                        }
+                    };
+
+                    switch (code) {
+                        case 1:
+                        case 14:
+                            addLine(0, interp(v00, v10, level), 0.5, 0); break;
+                        case 2:
+                        case 13:
+                            addLine(0.5, 0, 1, interp(v10, v11, level)); break;
+                        case 3:
+                        case 12:
+                            addLine(0, interp(v00, v10, level), 1, interp(v01, v11, level)); break;
+                        case 4:
+                        case 11:
+                            addLine(0.5, 1, interp(v01, v11, level), 1); break;
+                        case 5:
+                            addLine(0, interp(v00, v10, level), 0.5, 1);
+                            addLine(0.5, 0, interp(v01, v11, level), 1); break;
+                        case 6:
+                        case 9:
+                            addLine(0.5, 0, 0.5, 1); break;
+                        case 7:
+                        case 8:
+                            addLine(0, interp(v00, v10, level), 0.5, 1);
+                            addLine(0.5, 0, 1, interp(v10, v11, level)); break;
+                        case 10:
+                            addLine(0, interp(v00, v10, level), 1, interp(v01, v11, level));
+                            addLine(0.5, 0, 0.5, 1); break;
+                    }
+
+                    levelLines.push(...lines);
+
+                    processed++;
+                    if (processed % batchSize === 0) {
+                        if (this.isCancelled) throw new Error('Cancelled by user');
+                        await this.checkPause();
+                        await this.yieldToBrowser();
+                    }
+                }
+            }
+
+             if (inside) {
+                 levelLines = clipSegmentsToRegion(levelLines, inside);
+             }
+
+             if (levelLines.length > 0) {
+                 const layer = layerForValue((level - min) / (max - min || 1), options.layerCount);
+                 rawContours.push({ level, layer, lines: levelLines });
+             }
+
+            if (!bounds) { // Only update progress if full run
+                const levelIndex = levels.indexOf(level);
+                const progress = 60 + (levelIndex / levels.length) * 20;
+                this.updateProgress(showProgress, progress, `Extracting contours (level ${levelIndex + 1}/${levels.length})...`);
+            }
+
+            if (this.livePreviewEnabled && this.livePreviewManager && levelLines.length > 0) {
+                // If bounds, we probably shouldn't clear? 
+                // livePreviewManager.renderRawSegments clears by default for first call.
+                // But here we are calling it per level.
+                // renderRawSegments logic: 'clear' param is true only if explicit.
+                // In loop it was 'false'.
+                // But wait, if bounds is set, we want to draw ON TOP of existing canvas?
+                // livePreviewManager draws to ctx.
+                // If we are rerunning a region, we should have cleared that region on the canvas before.
+                // We'll handle canvas clearing in rerunRegion.
+                this.livePreviewManager.renderRawSegments(levelLines, width, height, lineColor, lineWidth, false);
+            }
+        }
+
+         // If bounds are present, return raw segments immediately
+         if (bounds) {
+             return { contours: [], raw: rawContours, skippedJoining: true };
+         }
+
+         // Add validation to ensure we have meaningful contours
+         if (rawContours.length === 0) {
+             console.warn('No contours generated from any level - this indicates a problem with level generation');
+             // Fallback to basic contour generation
+             const fallbackLevels = [];
+             for (let l = min + interval; l < max; l += interval) {
+                 fallbackLevels.push(l);
+             }
+             console.log('Falling back to basic level generation with', fallbackLevels.length, 'levels');
+             
+             // Re-run with fallback levels
+             const fallbackContours = [];
+             for (const level of fallbackLevels) {
+                 const levelLines = [];
+                 for (let y = 0; y < height - 1; y++) {
+                     for (let x = 0; x < width - 1; x++) {
+                         const v00 = safeGet(x, y);
+                         const v10 = safeGet(x + 1, y);
+                         const v01 = safeGet(x, y + 1);
+                         const v11 = safeGet(x + 1, y + 1);
+
+                         let code = 0;
+                         if (v00 >= level) code |= 1;
+                         if (v10 >= level) code |= 2;
+                         if (v01 >= level) code |= 4;
+                         if (v11 >= level) code |= 8;
+
+                         const lines = [];
+                         const addLine = (x1, y1, x2, y2) => {
+                             lines.push({ x1: x + x1, y1: y + y1, x2: x + x2, y2: y + y2 });
+                         };
+
+                         switch (code) {
+                             case 1:
+                             case 14:
+                                 addLine(0, interp(v00, v10, level), 0.5, 0); break;
+                             case 2:
+                             case 13:
+                                 addLine(0.5, 0, 1, interp(v10, v11, level)); break;
+                             case 3:
+                             case 12:
+                                 addLine(0, interp(v00, v10, level), 1, interp(v01, v11, level)); break;
+                             case 4:
+                             case 11:
+                                 addLine(0.5, 1, interp(v01, v11, level), 1); break;
+                             case 5:
+                                 addLine(0, interp(v00, v10, level), 0.5, 1);
+                                 addLine(0.5, 0, interp(v01, v11, level), 1); break;
+                             case 6:
+                             case 9:
+                                 addLine(0.5, 0, 0.5, 1); break;
+                             case 7:
+                             case 8:
+                                 addLine(0, interp(v00, v10, level), 0.5, 1);
+                                 addLine(0.5, 0, 1, interp(v10, v11, level)); break;
+                             case 10:
+                                 addLine(0, interp(v00, v10, level), 1, interp(v01, v11, level));
+                                 addLine(0.5, 0, 0.5, 1); break;
+                         }
+
+                         levelLines.push(...lines);
+                     }
+                 }
+                 if (levelLines.length > 0) {
+                     fallbackContours.push({ level, lines: levelLines });
+                 }
+             }
+             
+             if (fallbackContours.length === 0) {
+                 console.error('Even fallback contour generation failed - no contours will be returned');
+                 return { contours: [], raw: [], skippedJoining: false };
+             }
+             
+             rawContours = fallbackContours;
+         }
+
+        return this.contoursFromSegments(rawContours, maxSegments, skipJoining, showProgress, options);
+    }
+
+     // ============================================
+    // PHASE 2: ENHANCED CONTOUR JOINING & OPTIMIZATION
+    // ============================================
+
+    validatePath(path) {
+        if (!path || path.length === 0) return [];
+        return path.filter(p => p && p.x !== undefined && p.y !== undefined);
+    }
+
+    // Ramer-Douglas-Peucker Simplification
+    simplifyPath(points, epsilon) {
+        if (!points || points.length <= 2) return this.validatePath(points);
+
+        const validPoints = this.validatePath(points);
+        if (validPoints.length <= 2) return validPoints;
+
+        let dmax = 0;
+        let index = 0;
+        const end = validPoints.length - 1;
+
+        for (let i = 1; i < end; i++) {
+            const d = this.perpendicularDistance(validPoints[i], validPoints[0], validPoints[end]);
+            if (d > dmax) {
+                index = i;
+                dmax = d;
+            }
+        }
+
+        if (dmax > epsilon) {
+            const recResults1 = this.simplifyPath(validPoints.slice(0, index + 1), epsilon);
+            const recResults2 = this.simplifyPath(validPoints.slice(index, end + 1), epsilon);
+            return recResults1.slice(0, recResults1.length - 1).concat(recResults2);
+        } else {
+            return [validPoints[0], validPoints[end]];
+        }
+    }
+
+    perpendicularDistance(point, lineStart, lineEnd) {
+        if (!point || !lineStart || !lineEnd ||
+            point.x === undefined || point.y === undefined ||
+            lineStart.x === undefined || lineStart.y === undefined ||
+            lineEnd.x === undefined || lineEnd.y === undefined) {
+            return 0;
+        }
+        let dx = lineEnd.x - lineStart.x;
+        let dy = lineEnd.y - lineStart.y;
+
+        const mag = Math.sqrt(dx * dx + dy * dy);
+        if (mag > 0) {
+            dx /= mag;
+            dy /= mag;
+        }
+
+        const pvx = point.x - lineStart.x;
+        const pvy = point.y - lineStart.y;
+
+        const pvdot = pvx * dx + pvy * dy;
+        const ax = pvx - pvdot * dx;
+        const ay = pvy - pvdot * dy;
+
+        return Math.sqrt(ax * ax + ay * ay);
+    }
+
+    // Catmull-Rom Spline Smoothing
+    getSplinePoints(points, segments = 4, tension = 0.5) {
+        if (!points || points.length < 2) return this.validatePath(points);
+
+        const validPoints = this.validatePath(points);
+        if (validPoints.length < 2) return validPoints;
+
+        const spline = [];
+        // Duplicate start and end points for the algorithm
+        const p = [validPoints[0], ...validPoints, validPoints[validPoints.length - 1]];
+
+        for (let i = 0; i < p.length - 3; i++) {
+            const p0 = p[i];
+            const p1 = p[i + 1];
+            const p2 = p[i + 2];
+            const p3 = p[i + 3];
+
+            if (!p0 || !p1 || !p2 || !p3) continue;
+
+            for (let t = 0; t < segments; t++) {
+                // For the last segment, include the end point
+                if (i === p.length - 4 && t === segments - 1) {
+                     spline.push(this.catmullRom(p0, p1, p2, p3, 1.0, tension));
+                } else {
+                     const st = t / segments;
+                     spline.push(this.catmullRom(p0, p1, p2, p3, st, tension));
+                }
+            }
+        }
+
+        // Ensure the very last point is included and exact
+        if (spline.length > 0) {
+             const lastSpline = spline[spline.length - 1];
+             const lastPoint = validPoints[validPoints.length - 1];
+             if (lastSpline.x !== lastPoint.x || lastSpline.y !== lastPoint.y) {
+                 spline.push(lastPoint);
+             }
+        } else {
+            return validPoints;
+        }
+
+        return this.validatePath(spline);
+    }
+
+    catmullRom(p0, p1, p2, p3, t, tension) {
+        const t2 = t * t;
+        const t3 = t2 * t;
+
+        const v0 = (p2.x - p0.x) * tension;
+        const v1 = (p3.x - p1.x) * tension;
+        const x = (2 * p1.x - 2 * p2.x + v0 + v1) * t3 + (-3 * p1.x + 3 * p2.x - 2 * v0 - v1) * t2 + v0 * t + p1.x;
+
+        const u0 = (p2.y - p0.y) * tension;
+        const u1 = (p3.y - p1.y) * tension;
+        const y = (2 * p1.y - 2 * p2.y + u0 + u1) * t3 + (-3 * p1.y + 3 * p2.y - 2 * u0 - u1) * t2 + u0 * t + p1.y;
+
+        return { x, y };
+    }
+
+    getPathLength(path) {
+        if (!path || path.length < 2) return 0;
+
+        const validPath = this.validatePath(path);
+        if (validPath.length < 2) return 0;
+
+        let len = 0;
+        for (let i = 0; i < validPath.length - 1; i++) {
+            len += this.pointDistance(validPath[i], validPath[i+1]);
+        }
+        return len;
+    }
+
+    // Greedy TSP-Lite for Path Optimization
+    optimizePathOrder(paths) {
+        if (!paths || paths.length === 0) return [];
+
+        const validPaths = paths.map(p => this.keepLayer(p, this.validatePath(p))).filter(p => p.length > 0);
+        if (validPaths.length === 0) return [];
+
+        const ordered = [];
+        const remaining = new Set(validPaths.map((_, i) => i));
+
+        let currentPos = { x: 0, y: 0 };
+
+        while (remaining.size > 0) {
+            let nearestIdx = -1;
+            let minDist = Infinity;
+            let reverseBest = false;
+
+            for (const idx of remaining) {
+                const path = validPaths[idx];
+                const start = path[0];
+                const end = path[path.length - 1];
+
+                if (!start || !end) continue;
+
+                const dStart = this.pointDistance(currentPos, start);
+                const dEnd = this.pointDistance(currentPos, end);
+
+                if (dStart < minDist) {
+                    minDist = dStart;
+                    nearestIdx = idx;
+                    reverseBest = false;
+                }
+
+                if (dEnd < minDist) {
+                    minDist = dEnd;
+                    nearestIdx = idx;
+                    reverseBest = true;
+                }
+            }
+
+            if (nearestIdx !== -1) {
+                let bestPath = validPaths[nearestIdx];
+                if (reverseBest) {
+                    bestPath = this.keepLayer(bestPath, [...bestPath].reverse());
+                }
+
+                ordered.push(bestPath);
+                currentPos = bestPath[bestPath.length - 1];
+                remaining.delete(nearestIdx);
+            } else {
+                break; // Should not happen
+            }
+        }
+
+        return ordered;
+    }
+
+    async joinContoursImproved(rawContours, showProgress, options = {}) {
+        const paths = await this.joinSegments(rawContours, showProgress);
+        return this.postProcessContours(paths, options);
+    }
+
+    // Joined contours as extractContours returns them, from raw level segments. Joined paths
+    // from an earlier run on the same segments skip the joining.
+    async contoursFromSegments(rawContours, maxSegments, skipJoining, showProgress, options = {}, joined = null) {
+        const totalLines = rawContours.reduce((sum, c) => sum + c.lines.length, 0);
+        if (totalLines > maxSegments || skipJoining) {
+            const unjoined = [];
+            for (const contour of rawContours) {
+                for (const line of contour.lines) {
+                    const path = [
+                        { x: line.x1, y: line.y1 },
+                        { x: line.x2, y: line.y2 }
+                    ];
+                    path.layer = contour.layer || 0;
+                    unjoined.push(path);
+                }
+            }
+            return { contours: unjoined, raw: rawContours, skippedJoining: true };
+        }
+
+        if (!joined) {
+            this.updateProgress(showProgress, 80, 'Joining paths...');
+            joined = await this.joinSegments(rawContours, showProgress);
+        }
+        return { contours: this.postProcessContours(joined, options), raw: rawContours, joined, skippedJoining: false };
+    }
+
+    // Post-processing of joined contours, with the contour defaults
+    postProcessContours(paths, options = {}) {
+        // Extract options with new defaults for improved quality
+        const contourSmoothness = options.contourSmoothness ?? 0.5;
+        const simplification = options.simplification ?? 1.0; // RDP Epsilon (pixels)
+        const optimizePath = options.optimizePath !== false; // Default true
+        const minPathLength = options.minPathLength ?? 5; // Remove noise (pixels)
+        const splineResolution = options.splineResolution ?? 4; // Points per segment
+
+        return this.postProcessPaths(paths, {
+            contourSmoothness,
+            simplification,
+            optimizePath,
+            minPathLength,
+            splineResolution
+        });
+    }
+
+    // Chains the segments of each level into paths (segments only join within their layer)
+    async joinSegments(rawContours, showProgress) {
+        const allSegments = [];
+        const segmentLayers = [];
+        for (const contour of rawContours) {
+            allSegments.push(...contour.lines);
+            for (let i = 0; i < contour.lines.length; i++) segmentLayers.push(contour.layer || 0);
+        }
+
+        const width = this.width;
+        const height = this.height;
+        const spatialIndex = this.buildSpatialIndex(allSegments, width, height);
+
+        let paths = [];
+        const used = new Set();
+        const TOLERANCE = 2.0; 
+
+        for (let i = 0; i < allSegments.length; i++) {
+            if (used.has(i)) continue;
+
+            let currentPath = [{ x: allSegments[i].x1, y: allSegments[i].y1 }];
+            const pathLayer = segmentLayers[i];
+            const segmentRefs = [i];
+            used.add(i);
+            let currentEnd = { x: allSegments[i].x2, y: allSegments[i].y2 };
+
+            // Follow the path forward
+            while (true) {
+                const neighbors = spatialIndex.query(currentEnd.x, currentEnd.y, TOLERANCE);
+                let bestMatch = null;
+                let bestDist = Infinity;
+
+                for (const neighborIdx of neighbors) {
+                    if (used.has(neighborIdx)) continue;
+                    if (neighborIdx >= allSegments.length) continue;
+                    if (segmentLayers[neighborIdx] !== pathLayer) continue;
+
+                    const neighbor = allSegments[neighborIdx];
+                    if (!neighbor) continue;
+
+                    // Check if this segment connects to current end
+                    const dist1 = this.pointDistance(currentEnd, { x: neighbor.x1, y: neighbor.y1 });
+                    const dist2 = this.pointDistance(currentEnd, { x: neighbor.x2, y: neighbor.y2 });
+
+                    if (dist1 < TOLERANCE && dist1 < bestDist) {
+                        bestDist = dist1;
+                        bestMatch = { idx: neighborIdx, reverse: false };
+                    }
+                    if (dist2 < TOLERANCE && dist2 < bestDist) {
+                        bestDist = dist2;
+                        bestMatch = { idx: neighborIdx, reverse: true };
+                    }
+                }
+
+                if (!bestMatch) break;
+
+                const seg = allSegments[bestMatch.idx];
+                if (bestMatch.reverse) {
+                    currentPath.push({ x: seg.x2, y: seg.y2 });
+                } else {
+                    currentPath.push({ x: seg.x1, y: seg.y1 });
+                }
+
+                segmentRefs.push(bestMatch.idx);
+                used.add(bestMatch.idx);
+                currentEnd = bestMatch.reverse ? { x: seg.x1, y: seg.y1 } : { x: seg.x2, y: seg.y2 };
+            }
+
+            // Follow the path backward from start
+            let currentStart = currentPath[0];
+            while (true) {
+                const neighbors = spatialIndex.query(currentStart.x, currentStart.y, TOLERANCE);
+                let bestMatch = null;
+                let bestDist = Infinity;
+
+                for (const neighborIdx of neighbors) {
+                    if (used.has(neighborIdx)) continue;
+                    if (neighborIdx >= allSegments.length) continue;
+                    if (segmentLayers[neighborIdx] !== pathLayer) continue;
+
+                    const neighbor = allSegments[neighborIdx];
+                    if (!neighbor) continue;
+
+                    const dist1 = this.pointDistance(currentStart, { x: neighbor.x2, y: neighbor.y2 });
+                    const dist2 = this.pointDistance(currentStart, { x: neighbor.x1, y: neighbor.y1 });
+
+                    if (dist1 < TOLERANCE && dist1 < bestDist) {
+                        bestDist = dist1;
+                        bestMatch = { idx: neighborIdx, reverse: true };
+                    }
+                    if (dist2 < TOLERANCE && dist2 < bestDist) {
+                        bestDist = dist2;
+                        bestMatch = { idx: neighborIdx, reverse: false };
+                    }
+                }
+
+                if (!bestMatch) break;
+
+                const seg = allSegments[bestMatch.idx];
+                if (bestMatch.reverse) {
+                    currentPath.unshift({ x: seg.x1, y: seg.y1 });
+                } else {
+                    currentPath.unshift({ x: seg.x2, y: seg.y2 });
+                }
+
+                segmentRefs.push(bestMatch.idx);
+                used.add(bestMatch.idx);
+                currentStart = bestMatch.reverse ? { x: seg.x2, y: seg.y2 } : { x: seg.x1, y: seg.y1 };
+            }
+
+            if (currentPath.length > 1) {
+                 const validatedPath = this.validatePath(currentPath);
+                 if (validatedPath.length > 1) {
+                     validatedPath.layer = pathLayer;
+                     paths.push(validatedPath);
+                 }
+            }
+
+            if (paths.length % 100 === 0) {
+                this.updateProgress(showProgress, 80 + (paths.length / (allSegments.length / 10)) * 10, 'Joining paths...');
+                await this.checkPause();
+                await this.yieldToBrowser();
+            }
+        }
+
+        return paths;
+    }}
+
+// CommonJS export for Node; in the browser the declarations above are plain globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MarchingWavesCore, presets, defaultOptions, defaultPlotterOptions,
+        createRandom, resolveSeed, formatDuration, layerForValue, escapeXml,
+        grayThreshold, buildSeedFlags, seedMaskFromImageData,
+        SPEED_MODES, parseSpeedCurve, buildSpeedCost, createWeightedEikonalSolver,
+        DENOISE_MODES, PREPROCESS_OPTIONS, resolveImageGeometry, parseToneCurve, applyToneAdjustments, preprocessGrayscale,
+        COLOR_MODES, separatesColors, separateChannels,
+        PATH_COLORINGS, COLORMAPS, parseColorStops, resolveColormap, sampleColormap, pathPaint, trimPathPaint,
+        SOLVERS, resolveSolver, describeSolver, euclideanDistanceTransform,
+        optimizeTour, tourLength, describeTourStats,
+        stippleDensity, stippleCount, sampleByDensity, relaxStipplePoints,
+        selectionMaskFromPolygon, selectionMaskBounds, createRegionTest, clipPathsToRegion, clipSegmentsToRegion, stitchPaths,
+        REGION_SHARED_OPTIONS, resolveRegionOptions, createRegionOwner, regionMaskFromImageData,
+        defaultAnimationOptions, ANIMATION_EASINGS, ANIMATION_LOOP_HOLD, resolveEasing, easeInverse, trimPath,
+        buildRevealSchedule, animationFrame, createGIFEncoder, encodeZip,
+        TILE_HALO, resolvePrintSize, describePrintSize, createImageTileReader, sampleMask, createTileEdges, contourCellsByLevel,
+        STREAMLINE_STEP, STREAMLINE_MAX_POINTS, STREAMLINE_MIN_LENGTH, HATCH_LAYERS,
+        splitRows, fieldRange, contourLevels, packSegments, unpackSegments,
+        createOccupancyGrid, streamlineSeeds, distanceFieldGradient, traceGridStreamlines, hatchRuns, mergeHatchRuns, hatchLayerNames,
+        evenStreamlineSettings, traceEvenStreamlines,
+        HATCH_STYLES, HATCH_ENGRAVINGS, HATCH_LAYER_DEFAULTS, HATCH_MAX_LAYERS, HATCH_MIN_SPACING, resolveHatchLayers, resolveHatchStyle, hatchesInBands, hatchLineThreshold, densifyPath, engraveHatchLines,
+        encodeProject, decodeProject,
+        createPresetLibrary, parsePresetLibrary
+    };
+}
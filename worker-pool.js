@@ -8,7 +8,10 @@ class WorkerPool {
         this.taskQueue = [];
         this.activeTasks = new Map();
         this.taskIdCounter = 0;
+        this.sharedFields = null;
+        this.fieldsIdCounter = 0;
         this.initialized = false;
+        this.initPromise = null;
         this.idleWorkerCleanupInterval = 60000; // 60 seconds
         this.minIdleWorkers = 1; // Keep at least 1 worker for quick startup
         this.cleanupTimer = null;
@@ -16,7 +19,16 @@ class WorkerPool {
 
     async init() {
         if (this.initialized) return;
-        
+        // Concurrent callers share one initialization rather than each filling the pool
+        if (!this.initPromise) {
+            this.initPromise = this.createInitialWorkers().finally(() => {
+                this.initPromise = null;
+            });
+        }
+        return this.initPromise;
+    }
+
+    async createInitialWorkers() {
         try {
             // Create initial pool of workers
             for (let i = 0; i < this.maxWorkers; i++) {
@@ -54,6 +66,12 @@ class WorkerPool {
                             }
                             break;
 
+                        case 'preview':
+                            if (task.onPreview) {
+                                task.onPreview(data);
+                            }
+                            break;
+
                         case 'result':
                             // Mark task as complete
                             task.worker.taskCount--;
@@ -100,6 +118,7 @@ class WorkerPool {
 
                 worker.taskCount = 0;
                 worker.lastActive = Date.now();
+                worker.fieldIds = new Set();
                 this.workers.push(worker);
                 resolve(worker);
             } catch (error) {
@@ -109,28 +128,21 @@ class WorkerPool {
         });
     }
 
-    async execute(method, params, options = {}) {
-        if (!this.initialized) {
-            await this.init();
-        }
-        
+    // Queues a task; it starts as soon as a worker is free. options.transfer lists buffers in
+    // params to move to the worker instead of copying them. The promise carries the task ID.
+    execute(method, params, options = {}) {
         // Generate unique task ID
         const taskId = `task_${++this.taskIdCounter}`;
         
-        // Find or create an available worker
-        const worker = await this.getAvailableWorker();
-        if (!worker) {
-            throw new Error('No available workers');
-        }
-        
         // Create task promise
         const task = {
             taskId,
             method,
             params,
             options,
-            worker,
+            worker: null,
             onProgress: options.onProgress || null,
+            onPreview: options.onPreview || null,
             resolve: null,
             reject: null
         };
@@ -140,66 +152,154 @@ class WorkerPool {
             task.reject = reject;
         });
         
-        this.activeTasks.set(taskId, task);
-        worker.taskCount++;
-        
         // Attach taskId to the promise for cancellation
         promise.taskId = taskId;
-        promise.worker = worker;
         
-        // Extract onProgress callback and create clean options for worker
-        const { onProgress, ...optionsWithoutCallback } = options;
-        
-        // Send task to worker
-        worker.postMessage({
-            type: 'execute',
-            taskId,
-            method,
-            params,
-            options: optionsWithoutCallback
-        });
+        this.taskQueue.push(task);
+        this.processQueue();
         
         return promise;
     }
 
-    async getAvailableWorker() {
-        // Find worker with least tasks
-        let availableWorker = null;
-        let minTasks = Infinity;
+    // Runs tasks ({ method, params, transfer? }) side by side and resolves with their results in
+    // order. options.onProgress gets the mean progress over all tasks, finished ones counting as
+    // 100. If one task fails the others are cancelled. The promise carries all the task IDs.
+    executeParallel(tasks, options = {}) {
+        const { onProgress, ...taskOptions } = options;
+        const progress = new Array(tasks.length).fill(0);
+        let finished = 0;
+        let lastMessage = '';
+        const report = (message = lastMessage) => {
+            lastMessage = message;
+            if (onProgress) {
+                const percent = progress.reduce((sum, p) => sum + p, 0) / tasks.length;
+                onProgress(percent, `${message} (${finished}/${tasks.length} chunks done)`);
+            }
+        };
         
-        for (const worker of this.workers) {
-            if (worker.taskCount < minTasks) {
-                minTasks = worker.taskCount;
-                availableWorker = worker;
+        const promises = tasks.map((task, i) => this.execute(task.method, task.params, {
+            ...taskOptions,
+            transfer: task.transfer,
+            onProgress: (percent, message) => {
+                progress[i] = Math.min(100, percent);
+                report(message);
             }
-        }
+        }));
+        const taskIds = promises.map(promise => promise.taskId);
         
-        // If all workers are busy and we have capacity, create new worker
-        if (minTasks > 1 && this.workers.length < this.maxWorkers) {
-            await this.createWorker();
-            return this.workers[this.workers.length - 1];
+        const all = Promise.all(promises.map((promise, i) => promise.then(result => {
+            progress[i] = 100;
+            finished++;
+            report();
+            return result;
+        }))).catch(error => {
+            taskIds.forEach(taskId => this.cancelTask(taskId));
+            throw error;
+        });
+        all.taskIds = taskIds;
+        return all;
+    }
+
+    // Hands queued tasks to idle workers. A worker runs one task at a time, since its cancel and
+    // pause flags cover whatever it is running.
+    processQueue() {
+        while (this.taskQueue.length > 0) {
+            let worker = this.workers.find(w => w.taskCount === 0);
+            if (!worker) {
+                if (this.workers.length >= this.maxWorkers) return;
+                // createWorker adds the worker synchronously; its promise only reports failure
+                const count = this.workers.length;
+                this.createWorker().catch(error => console.error('Worker pool could not grow:', error));
+                if (this.workers.length === count) {
+                    // No worker at all could be started: fail the waiting tasks rather than leave them hanging
+                    if (count === 0) this.taskQueue.splice(0).forEach(task => task.reject(new Error('No available workers')));
+                    return;
+                }
+                worker = this.workers[count];
+            }
+            this.dispatch(worker, this.taskQueue.shift());
+        }
+    }
+
+    dispatch(worker, task) {
+        const fieldsId = task.params && task.params.fields && task.params.fields.id;
+        if (fieldsId && !worker.fieldIds.has(fieldsId) && this.sharedFields && this.sharedFields.id === fieldsId) {
+            // Shared buffers are handed over as they are; plain ones are copied once per worker
+            worker.postMessage({ type: 'cacheFields', id: fieldsId, fields: this.sharedFields.fields });
+            worker.fieldIds.add(fieldsId);
         }
         
-        return availableWorker;
+        task.worker = worker;
+        worker.taskCount++;
+        worker.lastActive = Date.now();
+        this.activeTasks.set(task.taskId, task);
+        
+        // Extract callbacks and create clean options for worker
+        const { onProgress, onPreview, transfer, ...optionsWithoutCallback } = task.options;
+        
+        // Send task to worker
+        worker.postMessage({
+            type: 'execute',
+            taskId: task.taskId,
+            method: task.method,
+            params: task.params,
+            options: optionsWithoutCallback
+        }, transfer || []);
     }
 
-    async executeParallel(tasks, options = {}) {
-        const promises = tasks.map(task => 
-            this.execute(task.method, task.params, {
-                ...options,
-                onProgress: task.onProgress
-            })
-        );
+    // Makes fields ({ width, height, solution, grayData, rgba }) available to tasks by ID: a task
+    // whose params.fields is { id, top, bottom } gets views of those rows in the worker. With
+    // cross-origin isolation the arrays are copied once into SharedArrayBuffers all workers read;
+    // otherwise each worker keeps its own copy. Asking again with the same arrays returns the
+    // same ID, and sharing new ones releases the old.
+    shareFields(fields) {
+        const current = this.sharedFields;
+        if (current && ['solution', 'grayData', 'rgba'].every(name => current.source[name] === fields[name])) {
+            return current.id;
+        }
+        if (current) {
+            this.releaseFields(current.id);
+        }
         
-        return Promise.all(promises);
+        const id = `fields_${++this.fieldsIdCounter}`;
+        const shared = typeof SharedArrayBuffer !== 'undefined' && window.crossOriginIsolated === true;
+        const toShared = array => {
+            const copy = new array.constructor(new SharedArrayBuffer(array.byteLength));
+            copy.set(array);
+            return copy;
+        };
+        this.sharedFields = {
+            id,
+            source: fields,
+            fields: shared
+                ? { ...fields, solution: toShared(fields.solution), grayData: toShared(fields.grayData), rgba: toShared(fields.rgba) }
+                : fields
+        };
+        console.log(`Worker pool: fields ${id} ${shared ? 'in shared memory' : 'copied once per worker'}`);
+        return id;
     }
 
-    processQueue() {
-        // Tasks are processed immediately when workers are available
-        // This method can be enhanced for better queuing strategy
+    releaseFields(id) {
+        for (const worker of this.workers) {
+            if (worker.fieldIds.delete(id)) {
+                worker.postMessage({ type: 'releaseFields', id });
+            }
+        }
+        if (this.sharedFields && this.sharedFields.id === id) {
+            this.sharedFields = null;
+        }
     }
 
-    async cancelTask(taskId) {
+    // Queued tasks are dropped; running ones are told to stop and their worker is free again
+    // once it has stopped. Either way the task's promise rejects.
+    cancelTask(taskId) {
+        const queued = this.taskQueue.findIndex(task => task.taskId === taskId);
+        if (queued !== -1) {
+            const [task] = this.taskQueue.splice(queued, 1);
+            task.reject(new Error('Cancelled by user'));
+            return;
+        }
+        
         const task = this.activeTasks.get(taskId);
         if (!task) return;
         
@@ -208,10 +308,7 @@ class WorkerPool {
             type: 'cancel',
             taskId
         });
-        
-        // Remove from active tasks
-        this.activeTasks.delete(taskId);
-        task.worker.taskCount--;
+        task.reject(new Error('Cancelled by user'));
     }
 
     async pauseTask(taskId) {
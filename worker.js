@@ -1,6 +1,9 @@
 // Web Worker for Marching Waves - CPU-intensive computations
 // This worker handles all processing that should continue in background tabs
 
+// Shared DOM-free helpers (seeded PRNG, etc.)
+importScripts('marching-waves-core.js');
+
 self.onmessage = function(e) {
     const { type, taskId, method, params, options } = e.data;
     
@@ -18,6 +21,9 @@ self.onmessage = function(e) {
             case 'extractStipple':
                 handleExtractStipple(taskId, params, options);
                 break;
+            case 'extractStippleVoronoi':
+                handleExtractStippleVoronoi(taskId, params, options);
+                break;
             case 'extractTSP':
                 handleExtractTSP(taskId, params, options);
                 break;
@@ -43,6 +49,16 @@ function postProgress(taskId, percent, message) {
     });
 }
 
+// Intermediate geometry for the main thread's live preview
+function postPreview(taskId, data) {
+    self.postMessage({
+        type: 'preview',
+        taskId,
+        data,
+        timestamp: Date.now()
+    });
+}
+
 function postResult(taskId, data, performance = {}, transferList = []) {
     self.postMessage({
         type: 'result',
@@ -82,6 +98,10 @@ self.onmessage = function(e) {
     } else if (type === 'cleanup') {
         // Cleanup memory after task completion
         cleanupWorkerMemory();
+    } else if (type === 'cacheFields') {
+        fieldCache.set(e.data.id, e.data.fields);
+    } else if (type === 'releaseFields') {
+        fieldCache.delete(e.data.id);
     } else {
         // Regular task execution
         try {
@@ -92,6 +112,30 @@ self.onmessage = function(e) {
     }
 };
 
+// Field arrays cached by WorkerPool#shareFields, by ID. They stay until the pool releases them,
+// so reruns on the same solution send only an ID and a row range.
+const fieldCache = new Map();
+
+// Fills in solution, grayData and imageData from the cache when a task names its fields as
+// params.fields = { id, top, bottom }. The arrays are views of rows [top, bottom), not copies.
+function resolveFields(params) {
+    if (!params.fields) return params;
+    const { id, top = 0, bottom } = params.fields;
+    const cached = fieldCache.get(id);
+    if (!cached) {
+        throw new Error(`Fields ${id} are not cached in this worker`);
+    }
+    const { width } = cached;
+    const end = bottom === undefined ? cached.height : bottom;
+    const rows = (array, channels = 1) => array.subarray(top * width * channels, end * width * channels);
+    return {
+        ...params,
+        solution: rows(cached.solution),
+        grayData: rows(cached.grayData),
+        imageData: { data: rows(cached.rgba, 4) }
+    };
+}
+
 async function executeTask(taskId, method, params, options) {
     // Reset state
     isCancelled = false;
@@ -99,6 +143,7 @@ async function executeTask(taskId, method, params, options) {
     pauseResolve = null;
     
     try {
+        params = resolveFields(params);
         switch (method) {
             case 'solveEikonalCPU':
                 await handleSolveEikonalCPU(taskId, params, options);
@@ -112,6 +157,9 @@ async function executeTask(taskId, method, params, options) {
             case 'extractStipple':
                 await handleExtractStipple(taskId, params, options);
                 break;
+            case 'extractStippleVoronoi':
+                await handleExtractStippleVoronoi(taskId, params, options);
+                break;
             case 'extractTSP':
                 await handleExtractTSP(taskId, params, options);
                 break;
@@ -185,12 +233,24 @@ self.onmessage = function(e) {
 // CPU-BASED FAST MARCHING METHOD SOLVER
 // ============================================
 async function handleSolveEikonalCPU(taskId, params, options) {
-    const { grayData, width, height, threshold } = params;
+    const { grayData, width, height, threshold, seedMask = null, seedMaskMode = 'add', speedCost = null, solver = 'fmm' } = params;
     const { showProgress } = options;
     
     const t0 = performance.now();
     
     const size = width * height;
+    const seeds = buildSeedFlags(grayData, threshold, seedMask, seedMaskMode);
+    const backend = resolveSolver(solver, !!speedCost);
+    if (backend === 'edt') {
+        const solution = euclideanDistanceTransform(seeds, width, height);
+        const stats = { totalMs: performance.now() - t0, method: 'CPU EDT', cellsProcessed: size };
+        postResult(taskId, { solution }, stats, [solution.buffer]);
+        return;
+    }
+    if (speedCost || backend === 'fmm2') {
+        const method = `CPU ${describeSolver(backend, !!speedCost)}`;
+        return solveWeightedEikonal(taskId, speedCost || grayData, seeds, width, height, backend === 'fmm2' ? 2 : 1, method, showProgress, t0);
+    }
     const solution = new Float32Array(size);
     solution.fill(Infinity);
     
@@ -209,9 +269,8 @@ async function handleSolveEikonalCPU(taskId, params, options) {
     for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
             const i = idx(x, y);
-            if (grayData[i] < threshold) {
+            if (seeds[i]) {
                 solution[i] = 0;
-                visited[i] = 1;
                 heap.push({ x, y, value: 0 });
             }
         }
@@ -264,6 +323,8 @@ async function handleSolveEikonalCPU(taskId, params, options) {
         if (!current) break;
         const { x, y } = current;
         const currentIdx = idx(x, y);
+        // A point is settled by its first (smallest) entry; later ones are stale
+        if (visited[currentIdx]) continue;
         visited[currentIdx] = 1;
         
         const neighbors = [
@@ -341,39 +402,56 @@ async function handleSolveEikonalCPU(taskId, params, options) {
     }
     
     const t1 = performance.now();
-    const performance = {
+    const stats = {
         totalMs: t1 - t0,
         method: 'CPU FMM',
         cellsProcessed: processed
     };
     
     // Transfer solution as transferable object for better performance
-    postResult(taskId, { solution }, performance, [solution.buffer]);
+    postResult(taskId, { solution }, stats, [solution.buffer]);
+}
+
+// Weighted and second-order variants: same FMM as the main thread (createWeightedEikonalSolver
+// in core), stepped in batches so it can be paused, cancelled and report progress
+async function solveWeightedEikonal(taskId, cost, seeds, width, height, order, method, showProgress, t0) {
+    const solver = createWeightedEikonalSolver(cost, seeds, width, height, order);
+    const batchSize = isVisible ? 20000 : 80000;
+
+    while (!solver.step(batchSize)) {
+        checkCancelled();
+        await checkPause();
+
+        if (showProgress) {
+            postProgress(taskId, solver.processed / (width * height) * 100, `Solving Eikonal equation...`);
+        }
+
+        await yieldToBrowser();
+    }
+
+    const stats = {
+        totalMs: performance.now() - t0,
+        method,
+        cellsProcessed: solver.processed
+    };
+    postResult(taskId, { solution: solver.solution }, stats, [solver.solution.buffer]);
 }
 
 // ============================================
 // ADAPTIVE CONTOUR EXTRACTION
 // ============================================
+// One band of the image (see PARALLEL BANDS in marching-waves-core.js). solution and imageData
+// hold `height` image rows from `top` on, with margin rows around the band for edge snapping; cells in
+// image rows [rowStart, rowEnd) are marched at the levels the main thread chose for the whole
+// field. Segments come back in image coordinates, packed per level.
 async function handleExtractContoursAdaptive(taskId, params, options) {
-    const { solution, imageData, width, height, interval, maxSegments } = params;
-    const { skipJoining, showProgress, edgeGuidance, edgeSensitivity, detailLevel, contourSmoothness } = options;
+    const { solution, imageData, width, height, top, rowStart, rowEnd, levels, min, max, interval } = params;
+    const { showProgress, edgeGuidance, edgeSensitivity, layerCount } = options;
     
     const t0 = performance.now();
     
-    // Compute edge map and gradient
+    // Compute edge map for the band
     const edgeMap = edgeGuidance ? computeEdgeMap(imageData, width, height) : null;
-    const { gradMag } = computeDistanceFieldGradient(solution, width, height);
-    
-    // Find min/max values
-    let min = Infinity, max = -Infinity;
-    for (let i = 0; i < solution.length; i++) {
-        const v = solution[i];
-        if (v < min) min = v;
-        if (v > max) max = v;
-    }
-    
-    // Generate adaptive levels
-    const levels = generateAdaptiveLevels(solution, width, height, interval, min, max, gradMag, detailLevel);
     
     const safeGet = (x, y) => {
         if (x < 0 || x >= width || y < 0 || y >= height) return Infinity;
@@ -388,13 +466,15 @@ async function handleExtractContoursAdaptive(taskId, params, options) {
     };
     
     const rawContours = [];
+    const transferList = [];
     let totalLines = 0;
     let processed = 0;
+    const total = levels.length * (rowEnd - rowStart) * (width - 1);
     
     for (const level of levels) {
         const levelLines = [];
         
-        for (let y = 0; y < height - 1; y++) {
+        for (let y = rowStart - top; y < rowEnd - top; y++) {
             for (let x = 0; x < width - 1; x++) {
                 const v00 = safeGet(x, y);
                 const v10 = safeGet(x + 1, y);
@@ -413,12 +493,11 @@ async function handleExtractContoursAdaptive(taskId, params, options) {
                     if (edgeGuidance && edgeSensitivity > 0.1) {
                         const p1 = snapToEdge(x + x1, y + y1, level, edgeMap, solution, width, height, edgeSensitivity, interval);
                         const p2 = snapToEdge(x + x2, y + y2, level, edgeMap, solution, width, height, edgeSensitivity, interval);
-                        lines.push({ x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y });
+                        lines.push({ x1: p1.x, y1: p1.y + top, x2: p2.x, y2: p2.y + top });
                     } else {
-                        lines.push({ x1: x + x1, y1: y + y2, x2: x + x2, y2: y + y2 });
+                        lines.push({ x1: x + x1, y1: y + y1 + top, x2: x + x2, y2: y + y2 + top });
                     }
                 };
-                
                 switch (code) {
                     case 1:
                     case 14:
@@ -473,8 +552,7 @@ async function handleExtractContoursAdaptive(taskId, params, options) {
                     await checkPause();
                     
                     if (showProgress) {
-                        const progress = 60 + (processed / (width * height)) * 20;
-                        postProgress(taskId, progress, `Extracting contours...`);
+                        postProgress(taskId, processed / total * 100, `Extracting contours...`);
                     }
                     
                     await yieldToBrowser();
@@ -484,157 +562,160 @@ async function handleExtractContoursAdaptive(taskId, params, options) {
         
         totalLines += levelLines.length;
         if (levelLines.length > 0) {
-            rawContours.push({ level, lines: levelLines });
+            const layer = layerForValue((level - min) / (max - min || 1), layerCount);
+            const packed = packSegments(levelLines);
+            rawContours.push({ level, layer, lines: packed });
+            transferList.push(packed.buffer);
         }
     }
     
     const t1 = performance.now();
-    const performance = {
+    const stats = {
         totalMs: t1 - t0,
         levelsProcessed: levels.length,
         linesExtracted: totalLines
     };
     
-    postResult(taskId, { contours: [], raw: rawContours, skippedJoining: true }, performance);
+    postResult(taskId, { raw: rawContours }, stats, transferList);
 }
 
 // ============================================
 // STREAMLINE EXTRACTION
 // ============================================
+// One task over the whole image with the full-image fields and seed, as each line stops where
+// earlier ones run. Grid streamlines come back unsmoothed (in Float64Array, so the main thread's
+// postProcessPaths sees the exact traced points); evenly spaced ones (streamlineAlgorithm 'even')
+// are finished here.
 async function handleExtractStreamlines(taskId, params, options) {
-    const { solution, grayData, width, height } = params;
-    const { interval = 8, maxSegments = 50000, threshold = 0.5, edgeSensitivity = 0.5, showProgress } = options;
+    const { solution, grayData, width, height, threshold, seed } = params;
+    const { interval = 8, showProgress } = options;
     
     const t0 = performance.now();
-    
-    const { gradX, gradY } = computeDistanceFieldGradient(solution, width, height);
-    
-    // Generate seeds
-    const seeds = [];
-    const seedSpacing = interval;
-    for (let y = seedSpacing; y < height - seedSpacing; y += seedSpacing) {
-        for (let x = seedSpacing; x < width - seedSpacing; x += seedSpacing) {
-            const idx = Math.floor(y) * width + Math.floor(x);
-            if (grayData[idx] < threshold) {
-                seeds.push({
-                    x: x + (Math.random() - 0.5) * seedSpacing * 0.5,
-                    y: y + (Math.random() - 0.5) * seedSpacing * 0.5
-                });
-            }
+    const checkpoint = async () => {
+        checkCancelled();
+        await checkPause();
+        await yieldToBrowser();
+    };
+    const onProgress = (fraction, message) => {
+        if (showProgress) {
+            postProgress(taskId, 60 + fraction * 30, message);
         }
-    }
+    };
     
-    // Shuffle seeds
-    for (let i = seeds.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [seeds[i], seeds[j]] = [seeds[j], seeds[i]];
+    let paths;
+    let packed;
+    if (options.streamlineAlgorithm === 'even') {
+        const directionAt = (x, y) => fieldDirection(solution, width, height, x, y);
+        paths = await traceEvenStreamlines(directionAt, grayData, width, height, {
+            ...evenStreamlineSettings(options),
+            seed,
+            checkpoint,
+            onProgress
+        });
+        packed = packPaths(paths);
+    } else {
+        const gradient = distanceFieldGradient(solution, width, height);
+        paths = await traceGridStreamlines(gradient, grayData, width, height, { interval, threshold, seed, checkpoint, onProgress });
+        packed = packPaths(paths, Float64Array);
     }
     
-    const paths = [];
-    const stepSize = 2.0;
-    const maxPathPoints = 500;
-    const minPathLength = 10;
-    const separation = interval * 0.8;
+    const stats = {
+        totalMs: performance.now() - t0,
+        pathsGenerated: paths.length
+    };
+    postResult(taskId, packed, stats, [packed.points.buffer, packed.lengths.buffer, packed.layers.buffer]);
+}
+
+// ============================================
+// STIPPLE EXTRACTION (POISSON DISK)
+// ============================================
+async function handleExtractStipple(taskId, params, options) {
+    const { grayData, width } = params;
+    const { layerCount } = options;
+    
+    const t0 = performance.now();
+    const points = await generateStipplePoints(taskId, params, options);
+    const t1 = performance.now();
     
-    const occGridSize = Math.max(4, Math.floor(separation));
-    const occWidth = Math.ceil(width / occGridSize);
-    const occHeight = Math.ceil(height / occGridSize);
-    const occGrid = new Uint8Array(occWidth * occHeight);
+    const dotPaths = points.map(p => {
+        const dot = [{ x: p.x, y: p.y }, { x: p.x + 0.1, y: p.y + 0.1 }];
+        dot.layer = layerForValue(grayData[Math.floor(p.y) * width + Math.floor(p.x)], layerCount);
+        return dot;
+    });
     
-    const isOccupied = (x, y) => {
-        const gx = Math.floor(x / occGridSize);
-        const gy = Math.floor(y / occGridSize);
-        if (gx < 0 || gx >= occWidth || gy < 0 || gy >= occHeight) return true;
-        return occGrid[gy * occWidth + gx] === 1;
+    const stats = {
+        totalMs: t1 - t0,
+        dotsGenerated: points.length
     };
     
-    const markOccupied = (x, y) => {
-        const gx = Math.floor(x / occGridSize);
-        const gy = Math.floor(y / occGridSize);
-        if (gx >= 0 && gx < occWidth && gy >= 0 && gy < occHeight) {
-            occGrid[gy * occWidth + gx] = 1;
-        }
+    postResult(taskId, { contours: dotPaths, raw: [], skippedJoining: true }, stats);
+}
+
+// ============================================
+// WEIGHTED VORONOI STIPPLING
+// ============================================
+async function handleExtractStippleVoronoi(taskId, params, options) {
+    const { grayData, width } = params;
+    const { layerCount } = options;
+    
+    const t0 = performance.now();
+    const points = await generateVoronoiPoints(taskId, params, options);
+    const t1 = performance.now();
+    
+    const dotPaths = points.map(p => {
+        const dot = [{ x: p.x, y: p.y }, { x: p.x + 0.1, y: p.y + 0.1 }];
+        dot.layer = layerForValue(grayData[Math.floor(p.y) * width + Math.floor(p.x)], layerCount);
+        return dot;
+    });
+    
+    const stats = {
+        totalMs: t1 - t0,
+        dotsGenerated: points.length
     };
     
-    // Trace streamlines
-    const checkYieldInterval = isVisible ? 500 : 2000;
-    for (let i = 0; i < seeds.length; i++) {
-        if (i % checkYieldInterval === 0) {
+    postResult(taskId, { contours: dotPaths, raw: [], skippedJoining: true }, stats);
+}
+
+// Density sampling + weighted Lloyd relaxation (shared implementation in marching-waves-core.js)
+async function generateVoronoiPoints(taskId, params, options) {
+    const { grayData, width, height, threshold, seed } = params;
+    const { interval = 8, showProgress, livePreview, stippleIterations = 20 } = options;
+    
+    const density = stippleDensity(grayData, threshold);
+    const points = sampleByDensity(density, width, stippleCount(density, interval), createRandom(seed));
+    
+    return relaxStipplePoints(points, density, width, height, {
+        iterations: stippleIterations,
+        checkpoint: async () => {
             checkCancelled();
             await checkPause();
-            
+            await yieldToBrowser();
+        },
+        onIteration: (iteration, current, shift) => {
             if (showProgress) {
-                postProgress(taskId, 60 + (i / seeds.length) * 30, `Tracing streamlines (${i}/${seeds.length})...`);
+                postProgress(taskId, 60 + (iteration / stippleIterations) * 30, `Relaxing dots (iteration ${iteration}/${stippleIterations}, shift ${shift.toFixed(2)}px)...`);
             }
-            
-            await yieldToBrowser();
-        }
-        
-        const seed = seeds[i];
-        if (isOccupied(seed.x, seed.y)) continue;
-        
-        const path = [seed];
-        markOccupied(seed.x, seed.y);
-        
-        for (const direction of [1, -1]) {
-            let cx = seed.x;
-            let cy = seed.y;
-            
-            for (let step = 0; step < maxPathPoints; step++) {
-                const ix = Math.floor(cx);
-                const iy = Math.floor(cy);
-                if (ix < 1 || ix >= width - 1 || iy < 1 || iy >= height - 1) break;
-                
-                const idx = iy * width + ix;
-                const g1x = gradX[idx];
-                const g1y = gradY[idx];
-                
-                const mag1 = Math.sqrt(g1x * g1x + g1y * g1y);
-                if (mag1 < 0.001) break;
-                
-                const k1x = (g1x / mag1) * stepSize * direction;
-                const k1y = (g1y / mag1) * stepSize * direction;
-                
-                const nx = cx + k1x;
-                const ny = cy + k1y;
-                
-                if (isOccupied(nx, ny)) break;
-                
-                if (direction === 1) {
-                    path.push({ x: nx, y: ny });
-                } else {
-                    path.unshift({ x: nx, y: ny });
-                }
-                
-                markOccupied(nx, ny);
-                cx = nx;
-                cy = ny;
+            if (livePreview) {
+                postPreview(taskId, { points: current });
             }
         }
-        
-        if (path.length * stepSize >= minPathLength) {
-            paths.push(path);
-        }
+    });
+}
+
+// Stipple points for the TSP task, from whichever stipple algorithm is selected
+async function generateStipplePoints(taskId, params, options) {
+    if (options.stippleAlgorithm === 'voronoi') {
+        return generateVoronoiPoints(taskId, params, options);
     }
-    
-    const t1 = performance.now();
-    const performance = {
-        totalMs: t1 - t0,
-        pathsGenerated: paths.length
-    };
-    
-    postResult(taskId, { contours: paths, raw: [], skippedJoining: true }, performance);
+    return generatePoissonPoints(taskId, params, options);
 }
 
-// ============================================
-// STIPPLE EXTRACTION (POISSON DISK)
-// ============================================
-async function handleExtractStipple(taskId, params, options) {
-    const { grayData, width, height } = params;
-    const { interval = 8, threshold = 0.5, showProgress } = options;
-    
-    const t0 = performance.now();
+// Poisson disk sampling with tone-dependent radius
+async function generatePoissonPoints(taskId, params, options) {
+    const { grayData, width, height, threshold, seed } = params;
+    const { interval = 8, showProgress } = options;
     
+    const random = createRandom(seed);
     const points = [];
     const minRadius = 1.5;
     const maxRadius = interval;
@@ -648,17 +729,16 @@ async function handleExtractStipple(taskId, params, options) {
         }
     }
     
-    if (activePixels === 0) {
-        postResult(taskId, { contours: [], raw: [], skippedJoining: true }, { totalMs: 0 });
-        return;
-    }
+    if (activePixels === 0) return [];
     
     const k = 20;
     const active = [];
-    const cellSize = maxRadius / Math.sqrt(2);
+    // The spacing two dots keep is at most maxRadius, so a grid of maxRadius cells finds every dot
+    // too close to a candidate in the 3x3 cells around it; dark cells hold several dots
+    const cellSize = maxRadius;
     const gridWidth = Math.ceil(width / cellSize);
     const gridHeight = Math.ceil(height / cellSize);
-    const grid = new Int32Array(gridWidth * gridHeight).fill(-1);
+    const grid = Array.from({ length: gridWidth * gridHeight }, () => []);
     
     const getRadius = (x, y) => {
         const idx = Math.floor(y) * width + Math.floor(x);
@@ -671,15 +751,15 @@ async function handleExtractStipple(taskId, params, options) {
         points.push(p);
         const gx = Math.floor(p.x / cellSize);
         const gy = Math.floor(p.y / cellSize);
-        grid[gy * gridWidth + gx] = idx;
+        grid[gy * gridWidth + gx].push(idx);
         active.push(idx);
     };
     
     const numSeeds = Math.min(10, Math.ceil(activePixels / 10000));
     for (let s = 0; s < numSeeds; s++) {
         for (let i = 0; i < 50; i++) {
-            const rx = Math.random() * width;
-            const ry = Math.random() * height;
+            const rx = random() * width;
+            const ry = random() * height;
             if (mask[Math.floor(ry) * width + Math.floor(rx)]) {
                 insertPoint({ x: rx, y: ry });
                 break;
@@ -693,15 +773,15 @@ async function handleExtractStipple(taskId, params, options) {
         checkCancelled();
         await checkPause();
         
-        const activeIdx = Math.floor(Math.random() * active.length);
+        const activeIdx = Math.floor(random() * active.length);
         const pIdx = active[activeIdx];
         const p = points[pIdx];
         const r = getRadius(p.x, p.y);
         
         let found = false;
         for (let i = 0; i < k; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const dist = r + Math.random() * r;
+            const angle = random() * Math.PI * 2;
+            const dist = r + random() * r;
             const nx = p.x + Math.cos(angle) * dist;
             const ny = p.y + Math.sin(angle) * dist;
             
@@ -713,25 +793,21 @@ async function handleExtractStipple(taskId, params, options) {
                 const gy = Math.floor(ny / cellSize);
                 let tooClose = false;
                 
-                const checkRange = Math.ceil(maxRadius / cellSize);
-                for (let dy = -checkRange; dy <= checkRange; dy++) {
-                    for (let dx = -checkRange; dx <= checkRange; dx++) {
+                for (let dy = -1; dy <= 1 && !tooClose; dy++) {
+                    for (let dx = -1; dx <= 1 && !tooClose; dx++) {
                         const ngx = gx + dx;
                         const ngy = gy + dy;
-                        if (ngx >= 0 && ngx < gridWidth && ngy >= 0 && ngy < gridHeight) {
-                            const neighborIdx = grid[ngy * gridWidth + ngx];
-                            if (neighborIdx !== -1) {
-                                const neighbor = points[neighborIdx];
-                                const dSq = (nx - neighbor.x)**2 + (ny - neighbor.y)**2;
-                                const minDist = (nr + getRadius(neighbor.x, neighbor.y)) / 2;
-                                if (dSq < minDist * minDist) {
-                                    tooClose = true;
-                                    break;
-                                }
+                        if (ngx < 0 || ngx >= gridWidth || ngy < 0 || ngy >= gridHeight) continue;
+                        for (const neighborIdx of grid[ngy * gridWidth + ngx]) {
+                            const neighbor = points[neighborIdx];
+                            const dSq = (nx - neighbor.x)**2 + (ny - neighbor.y)**2;
+                            const minDist = (nr + getRadius(neighbor.x, neighbor.y)) / 2;
+                            if (dSq < minDist * minDist) {
+                                tooClose = true;
+                                break;
                             }
                         }
                     }
-                    if (tooClose) break;
                 }
                 
                 if (!tooClose) {
@@ -755,34 +831,21 @@ async function handleExtractStipple(taskId, params, options) {
         if (points.length > 150000) break;
     }
     
-    const t1 = performance.now();
-    const dotPaths = points.map(p => [{ x: p.x, y: p.y }, { x: p.x + 0.1, y: p.y + 0.1 }]);
-    
-    const performance = {
-        totalMs: t1 - t0,
-        dotsGenerated: points.length
-    };
-    
-    postResult(taskId, { contours: dotPaths, raw: [], skippedJoining: true }, performance);
+    return points;
 }
 
 // ============================================
 // TSP EXTRACTION (NEAREST NEIGHBOR)
 // ============================================
 async function handleExtractTSP(taskId, params, options) {
-    const stippleResult = await new Promise(resolve => {
-        handleExtractStipple(taskId, params, { ...options, showProgress: false })
-            .then(result => resolve(result.data));
-    });
-    
-    const points = stippleResult.contours.map(p => p[0]);
+    const points = await generateStipplePoints(taskId, params, { ...options, showProgress: false });
     if (points.length < 2) {
         postResult(taskId, { contours: [], raw: [], skippedJoining: false }, { totalMs: 0 });
         return;
     }
     
     const t0 = performance.now();
-    const { showProgress } = options;
+    const { showProgress, tspMoveLimit = 5 } = options;
     
     const used = new Uint8Array(points.length);
     const cellSize = 30;
@@ -808,7 +871,7 @@ async function handleExtractTSP(taskId, params, options) {
             await checkPause();
             
             if (showProgress) {
-                postProgress(taskId, 90 + (1 - remaining / points.length) * 10, `TSP: ${remaining} left...`);
+                postProgress(taskId, 90 + (1 - remaining / points.length) * 5, `TSP: ${remaining} left...`);
             }
             
             await yieldToBrowser();
@@ -857,94 +920,53 @@ async function handleExtractTSP(taskId, params, options) {
         } else break;
     }
     
+    // 2-opt / Or-opt improvement (shared implementation in marching-waves-core.js)
+    const { points: tour, stats: tourStats } = await optimizeTour(orderedPoints, {
+        moveLimit: tspMoveLimit,
+        checkpoint: async () => {
+            checkCancelled();
+            await checkPause();
+            await yieldToBrowser();
+        },
+        onProgress: (fraction, message) => {
+            if (showProgress) postProgress(taskId, 95 + fraction * 5, message);
+        }
+    });
+    
     const t1 = performance.now();
-    const performance = {
+    const stats = {
         totalMs: t1 - t0,
-        pointsConnected: orderedPoints.length
+        pointsConnected: tour.length,
+        initialLength: tourStats.initialLength,
+        finalLength: tourStats.finalLength
     };
     
-    postResult(taskId, { contours: [orderedPoints], raw: [], skippedJoining: false }, performance);
+    postResult(taskId, { contours: [tour], raw: [], skippedJoining: false, tourStats }, stats);
 }
 
 // ============================================
 // CROSS-HATCH EXTRACTION
 // ============================================
+// One band: hatch runs crossing image rows [rowStart, rowEnd), whose gray values grayData holds
+// (see hatchRuns in marching-waves-core.js); the main thread joins the bands with mergeHatchRuns
 async function handleExtractHatch(taskId, params, options) {
-    const { grayData, width, height } = params;
-    const { interval = 10, threshold = 0.5, showProgress } = options;
+    const { grayData, width, height, rowStart, rowEnd } = params;
+    const { interval = 10, hatchAngle = 0, hatchOffset = 0, showProgress } = options;
     
     const t0 = performance.now();
-    
-    const lines = [];
-    const layers = [
-        { angle: -Math.PI / 4, t: threshold + 0.2 },
-        { angle: Math.PI / 4, t: threshold },
-        { angle: 0, t: threshold - 0.2 },
-        { angle: Math.PI / 2, t: threshold - 0.3 }
-    ];
-    
-    const maxLength = Math.sqrt(width * width + height * height);
-    
-    for (let l = 0; l < layers.length; l++) {
-        const layer = layers[l];
-        const angle = layer.angle;
-        const layerThreshold = Math.max(0.1, layer.t);
-        const spacing = interval;
-        
-        const cx = width / 2;
-        const cy = height / 2;
-        
-        for (let d = -maxLength; d < maxLength; d += spacing) {
-            const px = cx + d * Math.cos(angle + Math.PI/2);
-            const py = cy + d * Math.sin(angle + Math.PI/2);
-            
-            let currentSegment = null;
-            
-            for (let t = -maxLength; t < maxLength; t += 2) {
-                const x = Math.floor(px + t * Math.cos(angle));
-                const y = Math.floor(py + t * Math.sin(angle));
-                
-                if (x >= 0 && x < width && y >= 0 && y < height) {
-                    const idx = y * width + x;
-                    const val = grayData[idx];
-                    
-                    if (val < layerThreshold) {
-                        if (!currentSegment) {
-                            currentSegment = [{x, y}];
-                        } else {
-                            currentSegment.push({x, y});
-                        }
-                    } else {
-                        if (currentSegment) {
-                            if (currentSegment.length > 5) lines.push([currentSegment[0], currentSegment[currentSegment.length-1]]);
-                            currentSegment = null;
-                        }
-                    }
-                } else {
-                    if (currentSegment) {
-                        if (currentSegment.length > 5) lines.push([currentSegment[0], currentSegment[currentSegment.length-1]]);
-                        currentSegment = null;
-                    }
-                }
-            }
-            
-            checkCancelled();
-            await checkPause();
-            await yieldToBrowser();
-        }
-        
-        if (showProgress) {
-            postProgress(taskId, 60 + (l / layers.length) * 30, `Hatching (Layer ${l+1})...`);
-        }
+    checkCancelled();
+    if (showProgress) {
+        postProgress(taskId, 0, 'Generating hatch lines...');
     }
+    const runs = hatchRuns(grayData, width, height, rowStart, rowEnd, interval, grayThreshold(options), hatchAngle, hatchOffset, resolveHatchLayers(options));
     
     const t1 = performance.now();
-    const performance = {
+    const stats = {
         totalMs: t1 - t0,
-        linesGenerated: lines.length
+        runsFound: runs.length / 8
     };
     
-    postResult(taskId, { contours: lines, raw: [], skippedJoining: true }, performance);
+    postResult(taskId, { runs }, stats, [runs.buffer]);
 }
 
 // ============================================
@@ -971,44 +993,6 @@ function computeEdgeMap(imageData, width, height) {
     return edgeMap;
 }
 
-function computeDistanceFieldGradient(solution, width, height) {
-    const gradX = new Float32Array(width * height);
-    const gradY = new Float32Array(width * height);
-    const gradMag = new Float32Array(width * height);
-    
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const idx = y * width + x;
-            
-            const gx = (x < width - 1) ? solution[idx + 1] - solution[idx] : 0;
-            const gy = (y < height - 1) ? solution[idx + width] - solution[idx] : 0;
-            
-            gradX[idx] = gx;
-            gradY[idx] = gy;
-            gradMag[idx] = Math.sqrt(gx * gx + gy * gy);
-        }
-    }
-    
-    return { gradX, gradY, gradMag };
-}
-
-function generateAdaptiveLevels(solution, width, height, interval, min, max, gradMag, detailLevel) {
-    const levels = [];
-    
-    if (min === Infinity || max === -Infinity) return levels;
-    
-    const range = max - min;
-    if (range < 0.001) return [min + range / 2];
-    
-    const targetLevels = Math.max(1, Math.floor(range / interval));
-    
-    for (let l = min + interval; l < max; l += interval) {
-        levels.push(l);
-    }
-    
-    return levels;
-}
-
 function snapToEdge(x, y, level, edgeMap, solution, width, height, sensitivity, interval) {
     let bestX = x;
     let bestY = y;